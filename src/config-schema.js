@@ -0,0 +1,290 @@
+// Plugin config schemas, as returned by getConfigSchema(): one entry per field.
+//
+//   type         string | secret | url | number | boolean | select | array | object
+//   label        shown in the configuration UI
+//   description  optional help text
+//   required     the field must have a value (when visible)
+//   default      applied by the gateway when the value is missing
+//   min, max     number bounds
+//   items        array item type: string | url
+//   options      select values: ['a', 'b'] or [{ value: 'a', label: 'A' }]
+//   properties   nested fields of an object group
+//   showIf       { field: value | [values] } visible only when sibling fields match
+//
+// The same file drives the form in the UI and the JSON Schema PluginManager
+// validates against, so it must not require() anything.
+
+const FIELD_TYPES = ['string', 'secret', 'url', 'number', 'boolean', 'select', 'array', 'object'];
+const ARRAY_ITEM_TYPES = ['string', 'url'];
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function isValidUrl(string) {
+    try {
+        new URL(string);
+        return true;
+    } catch (_) {
+        return false;
+    }
+}
+
+function getOptionValues(field) {
+    return (field.options || []).map(option => typeof option === 'object' ? option.value : option);
+}
+
+// showIf is checked against the sibling values, defaults included
+function isFieldVisible(field, values) {
+    if (!field.showIf) return true;
+
+    return Object.entries(field.showIf).every(([key, expected]) => {
+        const actual = values[key];
+        return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+    });
+}
+
+function applyDefaults(schema, config = {}) {
+    const result = { ...config };
+
+    Object.entries(schema).forEach(([key, field]) => {
+        if (field.type === 'object' && field.properties) {
+            const nested = result[key] && typeof result[key] === 'object' ? result[key] : {};
+            result[key] = applyDefaults(field.properties, nested);
+        } else if (isEmpty(result[key]) && field.default !== undefined) {
+            result[key] = field.default;
+        }
+    });
+
+    return result;
+}
+
+function validateField(key, field, value, errors) {
+    if (field.type === 'string' || field.type === 'secret') {
+        if (typeof value !== 'string') errors.push(`${key} must be a string`);
+    } else if (field.type === 'url') {
+        if (typeof value !== 'string' || !isValidUrl(value)) errors.push(`${key} must be a valid URL`);
+    } else if (field.type === 'number') {
+        if (typeof value !== 'number' || isNaN(value)) {
+            errors.push(`${key} must be a number`);
+        } else {
+            if (field.min !== undefined && value < field.min) {
+                errors.push(`${key} must be at least ${field.min}`);
+            }
+            if (field.max !== undefined && value > field.max) {
+                errors.push(`${key} must be at most ${field.max}`);
+            }
+        }
+    } else if (field.type === 'boolean') {
+        if (typeof value !== 'boolean') errors.push(`${key} must be a boolean`);
+    } else if (field.type === 'select') {
+        const allowed = getOptionValues(field);
+        if (!allowed.includes(value)) {
+            errors.push(`${key} must be one of ${allowed.join(', ')}`);
+        }
+    } else if (field.type === 'array') {
+        if (!Array.isArray(value)) {
+            errors.push(`${key} must be an array`);
+        } else if (field.items === 'string') {
+            value.forEach((item, index) => {
+                if (typeof item !== 'string') {
+                    errors.push(`${key}[${index}] must be a string`);
+                }
+            });
+        } else if (field.items === 'url') {
+            value.forEach((item, index) => {
+                if (typeof item !== 'string' || !isValidUrl(item)) {
+                    errors.push(`${key}[${index}] must be a valid URL`);
+                }
+            });
+        }
+    } else if (field.type === 'object') {
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            errors.push(`${key} must be an object`);
+        } else {
+            errors.push(...validateConfig(field.properties || {}, value, `${key}.`));
+        }
+    }
+}
+
+// Returns a list of error messages, empty when the config is valid.
+// Defaults are applied first and hidden fields are ignored.
+function validateConfig(schema, config = {}, prefix = '') {
+    const values = applyDefaults(schema, config);
+    const errors = [];
+
+    Object.entries(schema).forEach(([key, field]) => {
+        if (!isFieldVisible(field, values)) return;
+
+        const value = values[key];
+        if (isEmpty(value)) {
+            if (field.required) errors.push(`${prefix}${key} is required`);
+            return;
+        }
+
+        validateField(`${prefix}${key}`, field, value, errors);
+    });
+
+    return errors;
+}
+
+// Required visible fields are present (types are not checked)
+function isConfigured(schema, config = {}) {
+    const values = applyDefaults(schema, config);
+
+    return Object.entries(schema).every(([key, field]) => {
+        if (!isFieldVisible(field, values)) return true;
+        if (field.type === 'object' && field.properties) {
+            return isConfigured(field.properties, values[key]);
+        }
+        return !field.required || !isEmpty(values[key]);
+    });
+}
+
+function fieldToJsonSchema(field) {
+    const result = { title: field.label };
+    if (field.description) result.description = field.description;
+    if (field.default !== undefined) result.default = field.default;
+
+    if (field.type === 'string' || field.type === 'secret') {
+        result.type = 'string';
+        if (field.type === 'secret') result.writeOnly = true;
+    } else if (field.type === 'url') {
+        result.type = 'string';
+        result.format = 'uri';
+    } else if (field.type === 'number') {
+        result.type = 'number';
+        if (field.min !== undefined) result.minimum = field.min;
+        if (field.max !== undefined) result.maximum = field.max;
+    } else if (field.type === 'boolean') {
+        result.type = 'boolean';
+    } else if (field.type === 'select') {
+        result.enum = getOptionValues(field);
+    } else if (field.type === 'array') {
+        result.type = 'array';
+        if (field.items === 'url') {
+            result.items = { type: 'string', format: 'uri' };
+        } else if (field.items === 'string') {
+            result.items = { type: 'string' };
+        }
+    } else if (field.type === 'object') {
+        Object.assign(result, objectToJsonSchema(field.properties || {}));
+    }
+
+    return result;
+}
+
+// Keywords that don't constrain the value
+const ANNOTATIONS = ['title', 'description', 'default', 'writeOnly'];
+
+// showIf { mode: 'api' } becomes if/then: like validateConfig, which ignores
+// hidden fields, the field is only type-checked (and required) when the
+// sibling values match
+function objectToJsonSchema(schema) {
+    const result = { type: 'object', properties: {} };
+    const required = [];
+    const conditions = [];
+
+    Object.entries(schema).forEach(([key, field]) => {
+        const property = fieldToJsonSchema(field);
+        // Empty strings count as missing, like in validateConfig
+        if (field.required && ['string', 'secret', 'url'].includes(field.type)) {
+            property.minLength = 1;
+        }
+
+        if (!field.showIf) {
+            result.properties[key] = property;
+            if (field.required) required.push(key);
+            return;
+        }
+
+        result.properties[key] = Object.fromEntries(Object.entries(property).filter(([keyword]) => ANNOTATIONS.includes(keyword)));
+
+        const condition = { type: 'object', properties: {}, required: Object.keys(field.showIf) };
+        Object.entries(field.showIf).forEach(([dependency, expected]) => {
+            condition.properties[dependency] = Array.isArray(expected) ? { enum: expected } : { const: expected };
+        });
+        const then = { properties: { [key]: property } };
+        if (field.required) then.required = [key];
+        conditions.push({ if: condition, then });
+    });
+
+    if (required.length > 0) result.required = required;
+    if (conditions.length > 0) result.allOf = conditions;
+    return result;
+}
+
+// Standard JSON Schema (draft-07) document for a getConfigSchema() schema
+function toJsonSchema(schema, { title } = {}) {
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        ...(title ? { title } : {}),
+        ...objectToJsonSchema(schema)
+    };
+}
+
+// Problems in the schema definition itself, used by the conformance kit
+function checkSchemaDefinition(schema, prefix = '') {
+    const errors = [];
+
+    Object.entries(schema).forEach(([key, field]) => {
+        const path = `${prefix}${key}`;
+
+        if (!FIELD_TYPES.includes(field.type)) {
+            errors.push(`${path}.type must be one of ${FIELD_TYPES.join(', ')}`);
+        }
+        if (typeof field.label !== 'string') {
+            errors.push(`${path}.label must be a string`);
+        }
+        if (field.required !== undefined && typeof field.required !== 'boolean') {
+            errors.push(`${path}.required must be a boolean`);
+        }
+        if (field.type === 'array' && field.items !== undefined && !ARRAY_ITEM_TYPES.includes(field.items)) {
+            errors.push(`${path}.items must be one of ${ARRAY_ITEM_TYPES.join(', ')}`);
+        }
+        if (field.type === 'number' && field.min !== undefined && field.max !== undefined && field.min > field.max) {
+            errors.push(`${path}.min must not exceed max`);
+        }
+        if (field.type === 'select' && (!Array.isArray(field.options) || field.options.length === 0)) {
+            errors.push(`${path}.options must be a non-empty array`);
+        }
+        if (field.type === 'object') {
+            if (!field.properties || typeof field.properties !== 'object') {
+                errors.push(`${path}.properties must be an object`);
+            } else {
+                errors.push(...checkSchemaDefinition(field.properties, `${path}.`));
+            }
+        }
+        if (field.showIf) {
+            Object.keys(field.showIf)
+                .filter(dependency => !schema[dependency])
+                .forEach(dependency => errors.push(`${path}.showIf refers to unknown field ${dependency}`));
+        }
+        if (field.default !== undefined && field.type !== 'object') {
+            const defaultErrors = [];
+            validateField(path, field, field.default, defaultErrors);
+            defaultErrors.forEach(error => errors.push(`default: ${error}`));
+        }
+    });
+
+    return errors;
+}
+
+const ConfigSchema = {
+    FIELD_TYPES,
+    ARRAY_ITEM_TYPES,
+    isFieldVisible,
+    applyDefaults,
+    validateConfig,
+    isConfigured,
+    checkSchemaDefinition,
+    toJsonSchema,
+    isValidUrl
+};
+
+// Also served as /config-schema.js to the configuration page
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConfigSchema;
+} else {
+    window.ConfigSchema = ConfigSchema;
+}
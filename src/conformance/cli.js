@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Usage: npm run conformance -- <plugin.js> [--config config.json] [--settings settings.json]
+//                                 [--fixtures fixtures.json] [--query text] [--video-id id] [--record]
+const fs = require('fs');
+const { runConformance } = require('./index');
+
+function parseArgs(argv) {
+    const args = { positional: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--record') {
+            args.record = true;
+        } else if (arg.startsWith('--')) {
+            args[arg.substring(2)] = argv[++i];
+        } else {
+            args.positional.push(arg);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const pluginPath = args.positional[0];
+
+    if (!pluginPath) {
+        console.error('Usage: npm run conformance -- <plugin.js> [--config config.json] [--settings settings.json] [--fixtures fixtures.json] [--query text] [--video-id id] [--record]');
+        process.exit(2);
+    }
+
+    const report = await runConformance(pluginPath, {
+        config: args.config ? JSON.parse(fs.readFileSync(args.config, 'utf8')) : {},
+        // The plugin's section of the settings file ("plugins": { "<name>": { ... } })
+        settings: args.settings ? JSON.parse(fs.readFileSync(args.settings, 'utf8')) : {},
+        fixtures: args.fixtures,
+        record: args.record,
+        query: args.query,
+        videoId: args['video-id']
+    });
+
+    const symbols = { pass: '✓', fail: '✗', skip: '-' };
+    report.results.forEach(result => {
+        const detail = result.error ? ` (${result.error})` : '';
+        console.log(`${symbols[result.status]} ${result.name}${detail}`);
+    });
+    console.log(report.passed ? `\n${report.plugin}: conformance passed` : '\nConformance failed');
+
+    // Plugins may leave timers or sockets open
+    process.exit(report.passed ? 0 : 1);
+}
+
+main().catch(error => {
+    console.error('Conformance run failed:', error);
+    process.exit(1);
+});
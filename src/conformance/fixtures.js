@@ -0,0 +1,118 @@
+const fs = require('fs');
+const axios = require('axios');
+const { SECRET_PARAMS } = require('../http-client');
+
+// "GET https://host/path?a=1&b=2" with secrets removed and params sorted,
+// so fixtures match regardless of parameter order or API key
+function fixtureKey(requestConfig) {
+    const url = new URL(axios.getUri(requestConfig));
+    SECRET_PARAMS.forEach(param => url.searchParams.delete(param));
+    url.searchParams.sort();
+    return `${(requestConfig.method || 'get').toUpperCase()} ${url.toString()}`;
+}
+
+// "?api_key=..." / "&token=..." inside URLs or any other text
+const SECRET_QUERY_PATTERN = new RegExp(`([?&](?:${SECRET_PARAMS.join('|')})=)[^&#"'\\s<]*`, 'gi');
+
+// Recorded bodies lose their secrets the way http-client logs do: values of
+// secret-named fields (access_token in an OAuth answer...) and secret query
+// parameters in URLs are replaced by ***
+function redactSecrets(value) {
+    if (Array.isArray(value)) {
+        return value.map(redactSecrets);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            SECRET_PARAMS.includes(key.toLowerCase()) && (item === null || typeof item !== 'object') ? '***' : redactSecrets(item)
+        ]));
+    }
+    if (typeof value === 'string') {
+        return value.replace(SECRET_QUERY_PATTERN, '$1***');
+    }
+    return value;
+}
+
+// axios adapter answering from recorded fixtures. In record mode, missing
+// fixtures are fetched from the network and saved on save().
+class FixtureStore {
+    constructor(filePath, { record = false } = {}) {
+        this.filePath = filePath;
+        this.record = record;
+        this.fixtures = filePath && fs.existsSync(filePath) ?
+            JSON.parse(fs.readFileSync(filePath, 'utf8')) :
+            {};
+        this.dirty = false;
+        this.networkAdapter = axios.getAdapter('http');
+        this.adapter = this.adapter.bind(this);
+    }
+
+    async adapter(requestConfig) {
+        const key = fixtureKey(requestConfig);
+        let fixture = this.fixtures[key];
+
+        if (!fixture) {
+            if (!this.record) {
+                throw new Error(`No recorded fixture for ${key}`);
+            }
+
+            const response = await this.networkAdapter({ ...requestConfig, validateStatus: () => true });
+            fixture = {
+                status: response.status,
+                headers: { 'content-type': response.headers['content-type'] },
+                data: redactSecrets(typeof response.data === 'string' ? this.parseBody(response.data) : response.data)
+            };
+            this.fixtures[key] = fixture;
+            this.dirty = true;
+        }
+
+        const response = {
+            status: fixture.status,
+            statusText: String(fixture.status),
+            headers: fixture.headers || {},
+            data: fixture.data,
+            config: requestConfig,
+            request: {}
+        };
+
+        const validateStatus = requestConfig.validateStatus;
+        if (validateStatus && !validateStatus(response.status)) {
+            throw new axios.AxiosError(
+                `Request failed with status code ${response.status}`,
+                response.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST',
+                requestConfig,
+                response.request,
+                response
+            );
+        }
+
+        return response;
+    }
+
+    parseBody(body) {
+        try {
+            return JSON.parse(body);
+        } catch (_) {
+            return body;
+        }
+    }
+
+    // Route every request made through the default axios instance to the fixtures
+    install() {
+        this.previousAdapter = axios.defaults.adapter;
+        axios.defaults.adapter = this.adapter;
+    }
+
+    uninstall() {
+        axios.defaults.adapter = this.previousAdapter;
+    }
+
+    save() {
+        if (!this.dirty || !this.filePath) return false;
+        fs.writeFileSync(this.filePath, JSON.stringify(this.fixtures, null, 2));
+        this.dirty = false;
+        return true;
+    }
+}
+
+module.exports = { FixtureStore, fixtureKey, redactSecrets, SECRET_PARAMS };
@@ -0,0 +1,254 @@
+// Plugin conformance kit: runs a plugin against the PluginBase contract,
+// offline, answering its HTTP calls from recorded fixtures.
+const assert = require('assert');
+const path = require('path');
+const PluginBase = require('../plugins/plugin-base');
+const { resolvePluginClass } = require('../plugin-loader');
+const { adaptPlugin } = require('../plugin-api');
+const { checkSchemaDefinition, applyDefaults } = require('../config-schema');
+const { FixtureStore } = require('./fixtures');
+
+function assertUrl(value, label) {
+    assert.strictEqual(typeof value, 'string', `${label} must be a string`);
+    assert.doesNotThrow(() => new URL(value), `${label} must be a valid URL, got "${value}"`);
+}
+
+// Base URL gateway-relative paths are resolved against, as the gateway does
+const BASE_URL = 'http://localhost:3000';
+
+// Thumbnails can be missing or gateway-relative ("/plugins/<name>/...")
+function assertThumbnail(value, label) {
+    if (value === null || value === undefined) return;
+    assert.strictEqual(typeof value, 'string', `${label} must be a string or null`);
+    if (value === '') return;
+    assertUrl(value.startsWith('/') ? `${BASE_URL}${value}` : value, label);
+}
+
+// Fields the gateway maps into Stremio metas
+function assertVideoItem(item, label) {
+    assert.ok(item && typeof item === 'object', `${label} must be an object`);
+    assert.ok(typeof item.id === 'string' && item.id !== '', `${label}.id must be a non-empty string`);
+    assert.strictEqual(typeof item.title, 'string', `${label}.title must be a string`);
+    assertThumbnail(item.thumbnail, `${label}.thumbnail`);
+    assert.ok(!isNaN(new Date(item.publishedAt).getTime()), `${label}.publishedAt must be a date, got "${item.publishedAt}"`);
+    assert.strictEqual(typeof item.channelTitle, 'string', `${label}.channelTitle must be a string`);
+}
+
+function assertVideoList(items, label) {
+    assert.ok(Array.isArray(items), `${label} must return an array`);
+    items.forEach((item, index) => assertVideoItem(item, `${label}[${index}]`));
+}
+
+function checkConfigSchema(plugin) {
+    const schema = plugin.getConfigSchema();
+    assert.ok(schema && typeof schema === 'object' && !Array.isArray(schema), 'getConfigSchema() must return an object');
+
+    const errors = checkSchemaDefinition(schema);
+    assert.deepStrictEqual(errors, [], `invalid config schema: ${errors.join('; ')}`);
+}
+
+async function checkCatalogs(plugin, config) {
+    const catalogs = await plugin.getCatalogs(config);
+    assert.ok(Array.isArray(catalogs), 'getCatalogs() must return an array');
+
+    catalogs.forEach((catalog, index) => {
+        assert.ok(typeof catalog.id === 'string' && catalog.id !== '', `catalogs[${index}].id must be a non-empty string`);
+        assert.strictEqual(typeof catalog.name, 'string', `catalogs[${index}].name must be a string`);
+        if (catalog.extra !== undefined) {
+            assert.ok(Array.isArray(catalog.extra), `catalogs[${index}].extra must be an array`);
+        }
+        if (catalog.id === 'search') {
+            assert.ok(
+                (catalog.extra || []).some(extra => extra.name === 'search'),
+                'the search catalog must declare a "search" extra'
+            );
+        }
+    });
+
+    return catalogs;
+}
+
+// Options:
+//   config     plugin config used for every call, with the schema defaults
+//              applied as the gateway does
+//   fixtures   path of the recorded HTTP fixtures (JSON)
+//   record     fetch and save fixtures that are missing (needs network)
+//   query      search query (default "test")
+//   videoId    id for getVideoMeta/getVideoUrl (default: first item found)
+//   settings   server settings passed to init()
+async function runConformance(pluginModule, options = {}) {
+    const settings = options.settings || {};
+    let config = options.config || {};
+    const results = [];
+    const store = new FixtureStore(options.fixtures, { record: options.record });
+    let plugin = null;
+    let videoId = options.videoId || null;
+
+    const check = async (name, fn) => {
+        if (!plugin && name !== 'instantiate') {
+            results.push({ name, status: 'skip', error: 'plugin not instantiated' });
+            return;
+        }
+        try {
+            await fn();
+            results.push({ name, status: 'pass', error: null });
+        } catch (error) {
+            results.push({ name, status: 'fail', error: error.message });
+        }
+    };
+
+    const skip = (name, reason) => results.push({ name, status: 'skip', error: reason });
+
+    store.install();
+
+    try {
+        await check('instantiate', () => {
+            const exported = typeof pluginModule === 'string' ?
+                require(path.resolve(pluginModule)) :
+                pluginModule;
+            const PluginClass = resolvePluginClass(exported);
+            const instance = new PluginClass();
+
+            assert.ok(/^[a-z0-9]+$/.test(instance.getName()), 'getName() must return lowercase letters and digits');
+            assert.strictEqual(typeof instance.getDisplayName(), 'string', 'getDisplayName() must return a string');
+
+            // Throws for incompatible API versions, shims older ones
+            adaptPlugin(instance);
+            plugin = instance;
+        });
+
+        await check('getConfigSchema', () => {
+            checkConfigSchema(plugin);
+            config = applyDefaults(plugin.getConfigSchema(), config);
+        });
+
+        // Before anything else, as in the gateway: plugins may read this.settings
+        // or their init() state from getCatalogs on
+        await check('init', () => {
+            plugin.settings = settings;
+            return plugin.init({ settings });
+        });
+
+        let catalogs = [];
+        await check('getCatalogs', async () => {
+            catalogs = await checkCatalogs(plugin, config);
+        });
+
+        await check('getCapabilities', () => {
+            const known = Object.values(PluginBase.CAPABILITIES);
+            plugin.getCapabilities().forEach(capability => {
+                assert.ok(known.includes(capability), `unknown capability "${capability}"`);
+                assert.ok(plugin.supports(capability), `capability "${capability}" declared but its method is not implemented`);
+            });
+        });
+
+        await check('getRoutes', () => {
+            const routes = plugin.getRoutes();
+            assert.ok(Array.isArray(routes), 'getRoutes() must return an array');
+            routes.forEach((route, index) => {
+                assert.ok(['get', 'post', 'put', 'patch', 'delete'].includes((route.method || 'get').toLowerCase()),
+                    `routes[${index}].method must be get, post, put, patch or delete`);
+                assert.ok(typeof route.path === 'string' && route.path.startsWith('/'), `routes[${index}].path must start with /`);
+                assert.ok(typeof plugin[route.handler] === 'function', `routes[${index}].handler must name a plugin method`);
+                if (route.auth !== undefined) {
+                    assert.ok(['admin', 'public'].includes(route.auth), `routes[${index}].auth must be admin or public`);
+                }
+            });
+        });
+
+        const { SEARCH, CHANNELS, LIVE, META, STREAM, SUBTITLES } = PluginBase.CAPABILITIES;
+
+        if (plugin && plugin.supports(SEARCH)) {
+            await check('search', async () => {
+                const items = await plugin.search(options.query || 'test', config);
+                assertVideoList(items, 'search()');
+                videoId = videoId || (items[0] && items[0].id);
+            });
+        } else {
+            skip('search', 'capability not supported');
+        }
+
+        // Live plugins serve their catalogs through getChannels too, as in the gateway
+        if (plugin && (plugin.supports(CHANNELS) || (plugin.supports(LIVE) && plugin.implements('getChannels')))) {
+            const feeds = catalogs.filter(catalog => catalog.id !== 'search');
+            if (feeds.length === 0) {
+                skip('getChannels', 'no feed catalog for this config');
+            }
+            for (const catalog of feeds) {
+                await check(`getChannels(${catalog.id})`, async () => {
+                    const items = await plugin.getChannels(config, { catalogId: catalog.id });
+                    assertVideoList(items, `getChannels(${catalog.id})`);
+                    videoId = videoId || (items[0] && items[0].id);
+                });
+            }
+        } else {
+            skip('getChannels', 'capability not supported');
+        }
+
+        if (plugin && plugin.supports(META) && videoId) {
+            await check('getVideoMeta', async () => {
+                assertVideoItem(await plugin.getVideoMeta(videoId, config), 'getVideoMeta()');
+            });
+        } else {
+            skip('getVideoMeta', videoId ? 'capability not supported' : 'no video id');
+        }
+
+        if (plugin && plugin.implements('getVideoUrl') && videoId) {
+            await check('getVideoUrl', async () => {
+                assertUrl(await plugin.getVideoUrl(videoId, config), 'getVideoUrl()');
+            });
+        } else {
+            skip('getVideoUrl', videoId ? 'not implemented' : 'no video id');
+        }
+
+        if (plugin && plugin.implements('getStreams') && videoId) {
+            await check('getStreams', async () => {
+                const streams = await plugin.getStreams(videoId, config);
+                assert.ok(Array.isArray(streams), 'getStreams() must return an array');
+                streams.forEach((stream, index) => {
+                    const label = `streams[${index}]`;
+                    assert.strictEqual(typeof stream.title, 'string', `${label}.title must be a string`);
+                    if (stream.proxy === 'file') {
+                        assert.ok(plugin.implements('getMediaFile'), `${label} is a file stream but getMediaFile() is not implemented`);
+                    } else if (stream.proxy) {
+                        assert.ok(['fast', 'best'].includes(stream.proxy), `${label}.proxy must be fast, best or file`);
+                        assert.ok(plugin.implements('getVideoUrl'), `${label} is a proxy stream but getVideoUrl() is not implemented`);
+                    } else if (stream.url) {
+                        assertUrl(stream.url, `${label}.url`);
+                    } else {
+                        assert.ok(stream.ytId || stream.externalUrl || stream.infoHash, `${label} needs url, ytId, externalUrl, infoHash or proxy`);
+                    }
+                });
+            });
+        }
+
+        if (plugin && plugin.supports(SUBTITLES) && videoId) {
+            await check('getSubtitles', async () => {
+                const subtitles = await plugin.getSubtitles(videoId, config);
+                assert.ok(Array.isArray(subtitles), 'getSubtitles() must return an array');
+                subtitles.forEach((subtitle, index) => {
+                    assert.strictEqual(typeof subtitle.lang, 'string', `subtitles[${index}].lang must be a string`);
+                    assertUrl(subtitle.url, `subtitles[${index}].url`);
+                });
+            });
+        }
+
+        await check('healthCheck', async () => {
+            const health = await plugin.healthCheck();
+            assert.ok(health && typeof health.status === 'string', 'healthCheck() must return { status }');
+        });
+
+        await check('shutdown', () => plugin.shutdown());
+    } finally {
+        store.uninstall();
+        store.save();
+    }
+
+    return {
+        plugin: plugin ? plugin.getName() : null,
+        passed: results.every(result => result.status !== 'fail'),
+        results
+    };
+}
+
+module.exports = { runConformance, assertVideoItem, assertVideoList };
@@ -1,10 +1,18 @@
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
 const PluginManager = require('./plugin-manager');
+const PluginBase = require('./plugins/plugin-base');
+const { PLUGIN_API_VERSION } = require('./plugin-api');
 const StreamingService = require('./streaming');
 
 const APP_PORT = process.env.PORT || 3100;
+const { CAPABILITIES } = PluginBase;
+const DEFAULT_TYPES = ['movie', 'channel'];
+// Catalog and video id used to show a plugin's config errors in Stremio
+const CONFIG_ERROR_ID = 'config-error';
 
 const app = express();
 app.use(cors());
@@ -15,6 +23,10 @@ app.use(morgan('dev'));
 const pluginManager = new PluginManager();
 const streaming = new StreamingService();
 
+if (pluginManager.settings.watchPlugins) {
+    pluginManager.watchPlugins();
+}
+
 // Utility to decode base64 config
 function decodeConfig(configParam) {
     try {
@@ -39,49 +51,216 @@ function decodeConfig(configParam) {
     }
 }
 
-// Build dynamic manifest based on active plugins and their configs
-function buildManifest(req) {
+function getBaseUrl(req) {
     const protocol = req.get('x-forwarded-proto') || (req.secure ? 'https' : 'http');
     const host = req.get('x-forwarded-host') || req.get('host');
-    const baseUrl = `${protocol}://${host}`;
-    
+    return `${protocol}://${host}`;
+}
+
+// Split "<plugin><separator><rest>" on the first separator only, video IDs may contain it
+function splitId(id, separator) {
+    const index = id.indexOf(separator);
+    return index === -1 ? [id, ''] : [id.substring(0, index), id.substring(index + 1)];
+}
+
+// Stremio extra path segment ("search=foo&skip=25") to an object
+function parseExtra(extra) {
+    return extra ? Object.fromEntries(new URLSearchParams(extra)) : {};
+}
+
+// Gateway-relative URLs ("/plugins/local/...") made absolute
+function absoluteUrl(baseUrl, url) {
+    return url && url.startsWith('/') ? `${baseUrl}${url}` : url;
+}
+
+// Map a plugin video object to a Stremio meta; video.meta holds extra Stremio
+// meta fields (poster, posterShape, genres...) that replace the derived ones
+function videoToMeta(id, type, video, baseUrl) {
+    const thumbnail = absoluteUrl(baseUrl, video.thumbnail);
+    return {
+        name: video.title,
+        description: video.description,
+        poster: thumbnail,
+        posterShape: 'landscape',
+        background: thumbnail,
+        director: [video.channelTitle],
+        cast: [video.channelTitle],
+        releaseInfo: video.duration || 'Video',
+        year: new Date(video.publishedAt).getFullYear(),
+        released: video.publishedAt,
+        ...video.meta,
+        id,
+        type
+    };
+}
+
+// Stremio id of a plugin video. Videos linked to another plugin's video
+// (video.linked = { plugin: 'youtube', id }) get that plugin's id when it is
+// active in the user config, so they open there
+function videoStremioId(instanceKey, video, activeKeys) {
+    const linked = video.linked;
+    if (linked && activeKeys.has(linked.plugin)) {
+        return `${linked.plugin}_${linked.id}`;
+    }
+    return `${instanceKey}_${video.id}`;
+}
+
+// /proxy URL of a video, carrying the user config
+function proxyUrl(baseUrl, instanceKey, videoId, quality, configParam) {
+    const query = new URLSearchParams({ quality });
+    if (configParam) query.set('config', configParam);
+    return `${baseUrl}/proxy/${instanceKey}/${encodeURIComponent(videoId)}?${query}`;
+}
+
+// Map a getStreams() entry to a Stremio stream: proxy streams play
+// getVideoUrl() (or getMediaFile()) through /proxy, the others keep their
+// url, ytId, externalUrl or infoHash
+function pluginStreamToStremio(stream, toProxyUrl) {
+    const { proxy, url, ytId, externalUrl, infoHash, ...details } = stream;
+
+    if (proxy) {
+        return { ...details, url: toProxyUrl(['fast', 'file'].includes(proxy) ? proxy : 'best') };
+    }
+    if (!url && !ytId && !externalUrl && !infoHash) {
+        return null;
+    }
+    return { ...details, url, ytId, externalUrl, infoHash };
+}
+
+// "YouTube" for the default instance of a plugin, "YouTube (work)" for named ones
+function instanceDisplayName(plugin, instanceKey) {
+    const { instance } = pluginManager.parseInstanceKey(instanceKey);
+    return instance ? `${plugin.getDisplayName()} (${instance})` : plugin.getDisplayName();
+}
+
+// Catalog entry explaining why a plugin instance's config was rejected
+function configErrorMeta(plugin, instanceKey, type, errors) {
+    return {
+        id: `${instanceKey}_${CONFIG_ERROR_ID}`,
+        type,
+        name: `${instanceDisplayName(plugin, instanceKey)}: invalid configuration`,
+        description: errors.join('\n'),
+        posterShape: 'landscape'
+    };
+}
+
+// Look up the plugin behind an instance key ("youtube", "youtube.work"),
+// answering 404/503 when it can't serve the request
+function resolvePlugin(res, instanceKey, capability) {
+    const parsed = pluginManager.parseInstanceKey(instanceKey);
+    const plugin = parsed && pluginManager.getPlugin(parsed.pluginName);
+
+    if (!plugin) {
+        res.status(404).json({ error: 'Plugin not found' });
+        return null;
+    }
+
+    const pluginName = plugin.getName();
+
+    if (!pluginManager.isAvailable(pluginName)) {
+        res.status(503).json({ error: `Plugin ${pluginName} unavailable` });
+        return null;
+    }
+
+    if (capability && !plugin.supports(capability)) {
+        res.status(404).json({ error: `Plugin ${pluginName} does not support ${capability}` });
+        return null;
+    }
+
+    return plugin;
+}
+
+// Build dynamic manifest based on active plugins and their configs
+async function buildManifest(req) {
+    const baseUrl = getBaseUrl(req);
     const config = decodeConfig(req.query.config);
-    const activePlugins = pluginManager.getActivePlugins(config);
+    const activeInstances = pluginManager.getActiveInstances(config);
+    const invalidInstances = pluginManager.getInvalidInstances(config);
     
-    // Build catalogs from active plugins
+    // Build catalogs and id-based resources from what each plugin declares
     const catalogs = [];
-    activePlugins.forEach(plugin => {
-        const pluginCatalogs = plugin.getCatalogs(config[plugin.getName()] || {});
+    const resourceMap = {
+        meta: { types: new Set(), idPrefixes: [] },
+        stream: { types: new Set(), idPrefixes: [] },
+        subtitles: { types: new Set(), idPrefixes: [] }
+    };
+
+    // Catalogs of all instances in parallel, a failing plugin only loses its own
+    const instanceCatalogs = await Promise.all(activeInstances.map(({ key, plugin }) =>
+        pluginManager.getPluginCatalogs(plugin, pluginManager.getPluginConfig(plugin, config, key))
+            .catch(error => {
+                console.error(`Catalogs of ${key} failed:`, error.message);
+                return [];
+            })));
+
+    // Each instance gets its own catalogs and ids, prefixed by its key
+    activeInstances.forEach(({ key, plugin, instance }, index) => {
+        const pluginCatalogs = instanceCatalogs[index];
         pluginCatalogs.forEach(catalog => {
-            // Search catalogs as movies, channel feeds as channels
-            const contentType = catalog.id === 'search' ? 'movie' : 'channel';
             catalogs.push({
-                type: contentType,
-                id: `${plugin.getName()}-${catalog.id}`,
-                name: catalog.name,
+                type: catalog.type,
+                id: `${key}-${catalog.id}`,
+                name: instance ? `${catalog.name} (${instance})` : catalog.name,
                 extra: catalog.extra || []
             });
         });
+
+        const pluginTypes = pluginCatalogs.length > 0 ?
+            pluginCatalogs.map(catalog => catalog.type) :
+            DEFAULT_TYPES;
+
+        Object.keys(resourceMap).forEach(resource => {
+            if (plugin.supports(resource)) {
+                pluginTypes.forEach(type => resourceMap[resource].types.add(type));
+                resourceMap[resource].idPrefixes.push(`${key}_`);
+            }
+        });
+    });
+
+    // Invalid configs get a catalog holding a single entry with the errors
+    invalidInstances.forEach(({ key, plugin }) => {
+        catalogs.push({
+            type: 'channel',
+            id: `${key}-${CONFIG_ERROR_ID}`,
+            name: `${instanceDisplayName(plugin, key)} (invalid configuration)`,
+            extra: []
+        });
+        resourceMap.meta.types.add('channel');
+        resourceMap.meta.idPrefixes.push(`${key}_`);
+    });
+
+    const description = invalidInstances.length > 0 ?
+        'Multi-platform video streaming addon. Invalid configuration: ' + invalidInstances
+            .map(({ key, plugin, errors }) => `${instanceDisplayName(plugin, key)} (${errors.join(', ')})`)
+            .join('; ') :
+        'Multi-platform video streaming addon';
+
+    const resources = catalogs.length > 0 ? ['catalog'] : [];
+    const types = new Set(catalogs.map(catalog => catalog.type));
+    Object.entries(resourceMap).forEach(([name, resource]) => {
+        if (resource.idPrefixes.length === 0) return;
+        resource.types.forEach(type => types.add(type));
+        resources.push({ name, types: Array.from(resource.types), idPrefixes: resource.idPrefixes });
     });
 
     return {
         id: 'com.omg.rome',
         name: 'OMG Rome - Universal Video Gateway',
-        description: 'Multi-platform video streaming addon',
+        description,
         version: '1.0.0',
         logo: `${baseUrl}/logo.png`,
         background: `${baseUrl}/background.jpg`,
-        resources: ['catalog', 'stream', 'meta'],
-        types: ['movie', 'channel'],
-        idPrefixes: activePlugins.map(p => p.getName()),
+        resources,
+        types: types.size > 0 ? Array.from(types) : DEFAULT_TYPES,
+        idPrefixes: Array.from(new Set(Object.values(resourceMap).flatMap(resource => resource.idPrefixes))),
         catalogs
     };
 }
 
 // Manifest endpoint
-app.get('/manifest.json', (req, res) => {
+app.get('/manifest.json', async (req, res) => {
     try {
-        const manifest = buildManifest(req);
+        const manifest = await buildManifest(req);
         res.json(manifest);
     } catch (error) {
         console.error('Manifest error:', error);
@@ -92,67 +271,54 @@ app.get('/manifest.json', (req, res) => {
 // Catalog endpoint
 app.get('/catalog/:type/:id/:extra?.json', async (req, res) => {
     try {
-        const { type, id, extra } = req.params;
+        const { id, extra } = req.params;
         const config = decodeConfig(req.query.config);
         
-        // Parse plugin name and catalog type from id
-        const [pluginName, catalogType] = id.split('-');
-        const plugin = pluginManager.getPlugin(pluginName);
-        
-        if (!plugin) {
-            return res.status(404).json({ error: 'Plugin not found' });
+        // Parse plugin name and catalog id
+        const [instanceKey, catalogId] = splitId(id, '-');
+        const plugin = resolvePlugin(res, instanceKey);
+        if (!plugin) return;
+
+        const extraParams = parseExtra(extra);
+
+        // Errors are shown as an entry rather than an empty catalog
+        const configErrors = pluginManager.getPluginConfigErrors(plugin, config, instanceKey);
+        if (configErrors.length > 0) {
+            const metas = extraParams.skip ? [] : [configErrorMeta(plugin, instanceKey, req.params.type, configErrors)];
+            return res.json({ metas });
         }
 
+        const pluginConfig = pluginManager.getPluginConfig(plugin, config, instanceKey);
+        const catalog = (await pluginManager.getPluginCatalogs(plugin, pluginConfig))
+            .find(candidate => candidate.id === catalogId);
+
+        if (!catalog) {
+            return res.status(404).json({ error: 'Catalog not found' });
+        }
+
+        const baseUrl = getBaseUrl(req);
+        const activeKeys = new Set(pluginManager.getActiveInstances(config).map(({ key }) => key));
         let metas = [];
         
-        if (catalogType === 'search') {
-            // Extract search query
-            let searchQuery = extra ? decodeURIComponent(extra) : '';
-            if (searchQuery.startsWith('search=')) {
-                searchQuery = searchQuery.substring(7);
+        if (catalogId === 'search') {
+            if (extraParams.search) {
+                // limit left to the plugin's default, skip is the next page
+                const results = await plugin.search(extraParams.search, pluginConfig, undefined, parseInt(extraParams.skip) || 0);
+                metas = results.map(video => videoToMeta(videoStremioId(instanceKey, video, activeKeys), catalog.type, video, baseUrl));
             }
-            
-            if (searchQuery) {
-                const results = await plugin.search(searchQuery, config[pluginName] || {});
-                metas = results.map(video => ({
-                    id: `${pluginName}_${video.id}`,
-                    type: 'movie',
-                    name: video.title,
-                    description: video.description,
-                    poster: video.thumbnail,
-                    posterShape: 'landscape',
-                    background: video.thumbnail,
-                    director: [video.channelTitle],
-                    cast: [video.channelTitle],
-                    releaseInfo: video.duration || 'Video',
-                    year: new Date(video.publishedAt).getFullYear(),
-                    released: video.publishedAt
-                }));
-            }
-        } else if (catalogType === 'channels' || catalogType === 'categories') {
-            // Get channel/category content
-            const results = await plugin.getChannels(config[pluginName] || {}, extra);
+        } else {
+            // Channel/category/live feeds
+            const results = await plugin.getChannels(pluginConfig, { catalogId, ...extraParams });
             metas = results.map(video => ({
-                id: `${pluginName}_${video.id}`,
-                type: 'channel',
-                name: video.title,
-                description: video.description,
-                poster: video.thumbnail,
-                posterShape: 'landscape',
-                background: video.thumbnail,
-                director: [video.channelTitle],
-                cast: [video.channelTitle],
                 genre: [video.channelTitle],
-                releaseInfo: video.duration || 'Video',
-                year: new Date(video.publishedAt).getFullYear(),
-                released: video.publishedAt
+                ...videoToMeta(videoStremioId(instanceKey, video, activeKeys), catalog.type, video, baseUrl)
             }));
         }
 
         res.json({ metas });
     } catch (error) {
         console.error('Catalog error:', error);
-        res.json({ metas: [] });
+        res.status(500).json({ error: 'Catalog generation failed' });
     }
 });
 
@@ -163,31 +329,43 @@ app.get('/stream/:type/:id.json', async (req, res) => {
         const config = decodeConfig(req.query.config);
         
         // Parse plugin name and video ID
-        const [pluginName, videoId] = id.split('_');
-        const plugin = pluginManager.getPlugin(pluginName);
-        
-        if (!plugin) {
-            return res.status(404).json({ error: 'Plugin not found' });
+        const [instanceKey, videoId] = splitId(id, '_');
+        const plugin = resolvePlugin(res, instanceKey, CAPABILITIES.STREAM);
+        if (!plugin) return;
+
+        const baseUrl = getBaseUrl(req);
+
+        // A stream pointing to the configuration page, with the errors as title
+        const configErrors = pluginManager.getPluginConfigErrors(plugin, config, instanceKey);
+        if (configErrors.length > 0) {
+            return res.json({
+                streams: [{
+                    name: 'OMG Rome',
+                    title: `${instanceDisplayName(plugin, instanceKey)}: invalid configuration\n${configErrors.join('\n')}`,
+                    externalUrl: `${baseUrl}/`
+                }]
+            });
         }
 
-        // Build stream URLs with config
-        const protocol = req.get('x-forwarded-proto') || (req.secure ? 'https' : 'http');
-        const host = req.get('x-forwarded-host') || req.get('host');
-        const baseUrl = `${protocol}://${host}`;
-        
-        const baseStreamUrl = req.query.config ? 
-            `${baseUrl}/proxy/${pluginName}/${videoId}?config=${req.query.config}` :
-            `${baseUrl}/proxy/${pluginName}/${videoId}`;
+        const toProxyUrl = quality => proxyUrl(baseUrl, instanceKey, videoId, quality, req.query.config);
+
+        if (plugin.implements('getStreams')) {
+            const pluginConfig = pluginManager.getPluginConfig(plugin, config, instanceKey);
+            const streams = (await plugin.getStreams(videoId, pluginConfig))
+                .map(stream => pluginStreamToStremio(stream, toProxyUrl))
+                .filter(Boolean);
+            return res.json({ streams });
+        }
 
         res.json({
             streams: [
                 {
-                    url: `${baseStreamUrl}?quality=fast`,
+                    url: toProxyUrl('fast'),
                     title: 'Qualità Rapida (720p) - Audio+Video Sincronizzati',
                     quality: 'fast'
                 },
                 {
-                    url: `${baseStreamUrl}?quality=best`,
+                    url: toProxyUrl('best'),
                     title: 'Migliore Qualità Disponibile - Richiede Merge',
                     quality: 'best'
                 }
@@ -202,33 +380,42 @@ app.get('/stream/:type/:id.json', async (req, res) => {
 // Meta endpoint
 app.get('/meta/:type/:id.json', async (req, res) => {
     try {
-        const { id } = req.params;
+        const { type, id } = req.params;
         const config = decodeConfig(req.query.config);
         
         // Parse plugin name and video ID
-        const [pluginName, videoId] = id.split('_');
-        const plugin = pluginManager.getPlugin(pluginName);
-        
-        if (!plugin) {
-            return res.status(404).json({ error: 'Plugin not found' });
+        const [instanceKey, videoId] = splitId(id, '_');
+        if (videoId === CONFIG_ERROR_ID) {
+            const plugin = resolvePlugin(res, instanceKey);
+            if (!plugin) return;
+            const configErrors = pluginManager.getPluginConfigErrors(plugin, config, instanceKey);
+            return res.json({ meta: configErrorMeta(plugin, instanceKey, type, configErrors) });
+        }
+
+        const plugin = resolvePlugin(res, instanceKey, CAPABILITIES.META);
+        if (!plugin) return;
+
+        const configErrors = pluginManager.getPluginConfigErrors(plugin, config, instanceKey);
+        if (configErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid plugin configuration', details: configErrors });
         }
 
-        const videoMeta = await plugin.getVideoMeta(videoId, config[pluginName] || {});
-        
-        const meta = {
-            id: id,
-            type: 'movie',
-            name: videoMeta.title,
-            description: videoMeta.description,
-            poster: videoMeta.thumbnail,
-            posterShape: 'landscape',
-            background: videoMeta.thumbnail,
-            director: [videoMeta.channelTitle],
-            cast: [videoMeta.channelTitle],
-            releaseInfo: videoMeta.duration || 'Video',
-            year: new Date(videoMeta.publishedAt).getFullYear(),
-            released: videoMeta.publishedAt
-        };
+        const videoMeta = await plugin.getVideoMeta(videoId, pluginManager.getPluginConfig(plugin, config, instanceKey));
+        const baseUrl = getBaseUrl(req);
+        const meta = videoToMeta(id, type, videoMeta, baseUrl);
+
+        // Series: episodes become Stremio videos with ids of the same instance
+        if (Array.isArray(videoMeta.episodes)) {
+            meta.videos = videoMeta.episodes.map(episode => ({
+                id: `${instanceKey}_${episode.id}`,
+                title: episode.title,
+                released: episode.publishedAt,
+                thumbnail: absoluteUrl(baseUrl, episode.thumbnail),
+                overview: episode.description,
+                season: episode.season,
+                episode: episode.episode
+            }));
+        }
 
         res.json({ meta });
     } catch (error) {
@@ -237,16 +424,55 @@ app.get('/meta/:type/:id.json', async (req, res) => {
     }
 });
 
+// Subtitles endpoint
+app.get('/subtitles/:type/:id/:extra?.json', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const config = decodeConfig(req.query.config);
+
+        const [instanceKey, videoId] = splitId(id, '_');
+        const plugin = resolvePlugin(res, instanceKey, CAPABILITIES.SUBTITLES);
+        if (!plugin) return;
+
+        const subtitles = await plugin.getSubtitles(videoId, pluginManager.getPluginConfig(plugin, config, instanceKey));
+        res.json({ subtitles });
+    } catch (error) {
+        console.error('Subtitles error:', error);
+        res.json({ subtitles: [] });
+    }
+});
+
 // Proxy streaming endpoint
-app.get('/proxy/:pluginName/:videoId', async (req, res) => {
+app.get('/proxy/:instanceKey/:videoId', async (req, res) => {
     try {
-        const { pluginName, videoId } = req.params;
+        const { instanceKey, videoId } = req.params;
         const config = decodeConfig(req.query.config);
         const quality = req.query.quality || 'best'; // Default to best quality
         
-        const plugin = pluginManager.getPlugin(pluginName);
-        if (!plugin) {
-            return res.status(404).json({ error: 'Plugin not found' });
+        const plugin = resolvePlugin(res, instanceKey, CAPABILITIES.STREAM);
+        if (!plugin) return;
+
+        const configErrors = pluginManager.getPluginConfigErrors(plugin, config, instanceKey);
+        if (configErrors.length > 0) {
+            return res.status(400).json({ error: 'Invalid plugin configuration', details: configErrors });
+        }
+
+        // Files on this server: sendFile answers HEAD and Range requests itself
+        if (quality === 'file') {
+            if (!plugin.implements('getMediaFile')) {
+                return res.status(404).json({ error: `Plugin ${plugin.getName()} does not serve files` });
+            }
+
+            const filePath = await plugin.getMediaFile(videoId, pluginManager.getPluginConfig(plugin, config, instanceKey));
+            return res.sendFile(filePath, {
+                dotfiles: 'allow',
+                headers: { 'Access-Control-Allow-Origin': '*' }
+            }, (error) => {
+                if (error && !res.headersSent) {
+                    console.error('File proxy error:', error.message);
+                    res.status(error.status || 500).json({ error: 'File not available' });
+                }
+            });
         }
 
         // Handle HEAD requests from video players FIRST - NO PROCESSING NEEDED
@@ -268,7 +494,7 @@ app.get('/proxy/:pluginName/:videoId', async (req, res) => {
         }
         
         // Get video URL from plugin (only for GET requests)
-        const videoUrl = await plugin.getVideoUrl(videoId, config[pluginName] || {});
+        const videoUrl = await plugin.getVideoUrl(videoId, pluginManager.getPluginConfig(plugin, config, instanceKey));
         
         // Create a unique key for this video+quality combination
         const streamKey = `${videoUrl}_${quality}`;
@@ -346,29 +572,126 @@ app.get('/proxy/:pluginName/:videoId', async (req, res) => {
     }
 });
 
+// Admin endpoints need OMG_ADMIN_TOKEN as "Authorization: Bearer <token>" and
+// are disabled without one: behind a reverse proxy every request looks local.
+// Tokens in the query string would end up in access logs, so they are ignored.
+function requireAdmin(req, res, next) {
+    const adminToken = pluginManager.settings.adminToken;
+    if (!adminToken) {
+        return res.status(403).json({ error: 'Admin endpoints are disabled, set OMG_ADMIN_TOKEN to enable them' });
+    }
+
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    if (match && tokensMatch(match[1], adminToken)) {
+        return next();
+    }
+    res.status(401).json({ error: 'Invalid admin token' });
+}
+
+// Constant-time comparison, hashed first so lengths don't leak either
+function tokensMatch(provided, expected) {
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(provided), hash(expected));
+}
+
+// Routes registered by plugins through getRoutes(), under /plugins/<name>/
+pluginManager.mountRoutes(app, { requireAdmin, getBaseUrl });
+
+// Hot reload results
+app.get('/admin/plugins/reloads', requireAdmin, (req, res) => {
+    res.json({
+        watching: pluginManager.watchers.length > 0,
+        reloads: pluginManager.getReloadHistory()
+    });
+});
+
+// Reload one plugin (body: { "plugin": "youtube" }) or all of them
+app.post('/admin/plugins/reload', requireAdmin, async (req, res) => {
+    try {
+        const pluginName = req.body && req.body.plugin;
+        const results = pluginName ?
+            [await pluginManager.reloadPlugin(pluginName)] :
+            await pluginManager.reloadAll();
+        res.json({ results });
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
 // Configuration endpoint for frontend
 app.get('/api/plugins', (req, res) => {
     const plugins = pluginManager.getAllPlugins().map(plugin => ({
         name: plugin.getName(),
         displayName: plugin.getDisplayName(),
-        configSchema: plugin.getConfigSchema()
+        configSchema: plugin.getConfigSchema(),
+        compatibility: pluginManager.getCompatibility(plugin.getName()),
+        available: pluginManager.isAvailable(plugin.getName()),
+        unavailableReason: pluginManager.getUnavailableReason(plugin.getName())
     }));
-    res.json({ plugins });
+    res.json({ pluginApiVersion: PLUGIN_API_VERSION, plugins, errors: pluginManager.getLoadErrors() });
+});
+
+// Plugin config schema as JSON Schema, for external tools
+app.get('/api/plugins/:name/schema', (req, res) => {
+    const plugin = pluginManager.getPlugin(req.params.name);
+    if (!plugin) {
+        return res.status(404).json({ error: 'Plugin not found' });
+    }
+
+    res.type('application/schema+json').json(pluginManager.getConfigJsonSchema(plugin));
+});
+
+// Validate a user config the way the manifest and routes do: GET with
+// ?config=<base64> as in manifest URLs, or POST the config object as JSON
+function validateUserConfig(config) {
+    const plugins = Object.keys(config).map(name => {
+        const parsed = pluginManager.parseInstanceKey(name);
+        const plugin = parsed && pluginManager.getPlugin(parsed.pluginName);
+        let errors;
+        if (!parsed) {
+            errors = ['Invalid key, expected "<plugin>" or "<plugin>.<instance>" in lowercase letters and digits'];
+        } else {
+            errors = plugin ? pluginManager.getPluginConfigErrors(plugin, config, name) : ['Plugin not found'];
+        }
+        return { name, valid: errors.length === 0, errors };
+    });
+
+    return { valid: plugins.length > 0 && plugins.every(plugin => plugin.valid), plugins };
+}
+
+app.get('/api/validate', (req, res) => {
+    res.json(validateUserConfig(decodeConfig(req.query.config)));
+});
+
+app.post('/api/validate', (req, res) => {
+    const config = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    res.json(validateUserConfig(config));
 });
 
 // Health check
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+    const pluginErrors = pluginManager.getLoadErrors();
+    const pluginHealth = await pluginManager.checkHealth();
+    const healthy = pluginErrors.length === 0 &&
+        Object.values(pluginHealth).every(result => result.status === 'ok');
+
     res.json({ 
-        status: 'ok', 
-        plugins: pluginManager.getAllPlugins().map(p => p.getName())
+        status: healthy ? 'ok' : 'degraded', 
+        pluginApiVersion: PLUGIN_API_VERSION,
+        plugins: pluginManager.getAllPlugins().map(p => p.getName()),
+        pluginHealth,
+        pluginErrors
     });
 });
 
+// Schema helpers shared with the configuration page
+app.get('/config-schema.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'config-schema.js'));
+});
+
 // Frontend configuration interface
 app.get('/', (req, res) => {
-    const protocol = req.get('x-forwarded-proto') || (req.secure ? 'https' : 'http');
-    const host = req.get('x-forwarded-host') || req.get('host');
-    const baseUrl = `${protocol}://${host}`;
+    const baseUrl = getBaseUrl(req);
     
     res.send(`
 <!DOCTYPE html>
@@ -386,9 +709,13 @@ app.get('/', (req, res) => {
         .plugin h3 { margin-top: 0; color: #495057; }
         .form-group { margin-bottom: 15px; }
         label { display: block; margin-bottom: 5px; font-weight: 600; color: #495057; }
-        input[type="text"], input[type="number"], textarea { width: 100%; padding: 8px 12px; border: 1px solid #ced4da; border-radius: 4px; font-size: 14px; }
-        input[type="text"]:focus, input[type="number"]:focus, textarea:focus { outline: none; border-color: #007bff; box-shadow: 0 0 0 2px rgba(0,123,255,0.25); }
+        input[type="text"], input[type="url"], input[type="number"], input[type="password"], select, textarea { width: 100%; padding: 8px 12px; border: 1px solid #ced4da; border-radius: 4px; font-size: 14px; }
+        input[type="text"]:focus, input[type="url"]:focus, input[type="number"]:focus, input[type="password"]:focus, select:focus, textarea:focus { outline: none; border-color: #007bff; box-shadow: 0 0 0 2px rgba(0,123,255,0.25); }
         .array-input { margin-bottom: 5px; }
+        label.checkbox { font-weight: 600; cursor: pointer; }
+        fieldset { border: 1px solid #dee2e6; border-radius: 4px; padding: 10px 15px; }
+        legend { font-weight: 600; color: #495057; padding: 0 5px; }
+        .instance + .instance { border-top: 1px solid #dee2e6; margin-top: 15px; padding-top: 10px; }
         .add-item { background: #28a745; color: white; border: none; padding: 5px 10px; border-radius: 3px; cursor: pointer; font-size: 12px; }
         .remove-item { background: #dc3545; color: white; border: none; padding: 2px 8px; border-radius: 3px; cursor: pointer; font-size: 11px; margin-left: 10px; }
         .generate-btn { background: #007bff; color: white; border: none; padding: 12px 24px; border-radius: 5px; cursor: pointer; font-size: 16px; font-weight: 600; }
@@ -419,8 +746,11 @@ app.get('/', (req, res) => {
         </div>
     </div>
 
+    <script src="/config-schema.js"></script>
     <script>
         let pluginsData = {};
+        // Rendered config forms: { plugin, key }, key is "<plugin>" or "<plugin>.<instance>"
+        let instances = [];
         
         // Load plugins on page load
         document.addEventListener('DOMContentLoaded', loadPlugins);
@@ -447,39 +777,124 @@ app.get('/', (req, res) => {
                 pluginDiv.innerHTML = \`
                     <h3>\${plugin.displayName}</h3>
                     <div id="plugin-\${plugin.name}"></div>
+                    <button type="button" class="add-item" onclick="addInstance('\${plugin.name}')">Add instance</button>
                 \`;
                 container.appendChild(pluginDiv);
                 
-                renderPluginForm(plugin);
+                renderInstance(plugin, plugin.name);
             });
         }
         
-        function renderPluginForm(plugin) {
-            const container = document.getElementById(\`plugin-\${plugin.name}\`);
+        function renderInstance(plugin, key) {
+            const instanceDiv = document.createElement('div');
+            instanceDiv.className = 'instance';
+            instanceDiv.id = \`instance-\${key}\`;
+            
+            const instanceName = key.split('.')[1];
+            if (instanceName) {
+                instanceDiv.innerHTML = \`<h4>Instance: \${instanceName}
+                    <button type="button" class="remove-item" onclick="removeInstance('\${key}')">Remove</button></h4>\`;
+            }
+            // Added instances start enabled, the first one once something is filled in;
+            // an instance left on its defaults (or without fields) can still be enabled
+            instanceDiv.innerHTML += \`<div class="form-group"><label class="checkbox">
+                <input type="checkbox" id="enabled-\${key}" \${instanceName ? 'checked' : ''}> Enabled</label></div>\`;
+            instanceDiv.innerHTML += renderFields(plugin.configSchema, key);
+            document.getElementById(\`plugin-\${plugin.name}\`).appendChild(instanceDiv);
+            instances.push({ plugin, key });
+            
+            const enabled = document.getElementById(\`enabled-\${key}\`);
+            // Re-evaluate showIf conditions whenever a value changes
+            const refresh = event => {
+                if (event && event.target !== enabled) enabled.checked = true;
+                updateVisibility(plugin.configSchema, key);
+            };
+            instanceDiv.addEventListener('input', refresh);
+            instanceDiv.addEventListener('change', refresh);
+            refresh();
+        }
+        
+        // Further instances of a plugin, e.g. a second YouTube profile with its own API key
+        function addInstance(pluginName) {
+            const instanceName = prompt('Instance name (lowercase letters and digits):');
+            if (instanceName === null) return;
+            
+            const key = \`\${pluginName}.\${instanceName.trim()}\`;
+            if (!/^[a-z0-9]+$/.test(instanceName.trim())) {
+                alert('Instance names may only contain lowercase letters and digits');
+                return;
+            }
+            if (instances.some(entry => entry.key === key)) {
+                alert('Instance already exists');
+                return;
+            }
+            
+            renderInstance(pluginsData.find(plugin => plugin.name === pluginName), key);
+        }
+        
+        function removeInstance(key) {
+            document.getElementById(\`instance-\${key}\`).remove();
+            instances = instances.filter(entry => entry.key !== key);
+        }
+        
+        function renderFields(fields, idPrefix) {
             let formHtml = '';
             
-            Object.entries(plugin.configSchema).forEach(([key, field]) => {
-                formHtml += \`<div class="form-group">\`;
-                formHtml += \`<label for="\${plugin.name}-\${key}">\${field.label}\`;
-                if (field.required) formHtml += ' *';
-                formHtml += '</label>';
+            Object.entries(fields).forEach(([key, field]) => {
+                const id = \`\${idPrefix}-\${key}\`;
+                formHtml += \`<div class="form-group" id="\${id}-group">\`;
+                
+                if (field.type === 'object') {
+                    formHtml += \`<fieldset><legend>\${field.label}</legend>\`;
+                    if (field.description) {
+                        formHtml += \`<div class="description">\${field.description}</div>\`;
+                    }
+                    formHtml += renderFields(field.properties || {}, id);
+                    formHtml += '</fieldset></div>';
+                    return;
+                }
+                
+                if (field.type === 'boolean') {
+                    formHtml += \`<label class="checkbox"><input type="checkbox" id="\${id}" \${field.default ? 'checked' : ''}> \${field.label}</label>\`;
+                } else {
+                    formHtml += \`<label for="\${id}">\${field.label}\`;
+                    if (field.required) formHtml += ' *';
+                    formHtml += '</label>';
+                }
                 
                 if (field.description) {
                     formHtml += \`<div class="description">\${field.description}</div>\`;
                 }
                 
                 if (field.type === 'string') {
-                    formHtml += \`<input type="text" id="\${plugin.name}-\${key}" 
+                    formHtml += \`<input type="text" id="\${id}" 
+                                placeholder="\${field.default || field.label}" \${field.required ? 'required' : ''}>\`;
+                } else if (field.type === 'url') {
+                    formHtml += \`<input type="url" id="\${id}" 
+                                placeholder="\${field.default || field.label}" \${field.required ? 'required' : ''}>\`;
+                } else if (field.type === 'secret') {
+                    formHtml += \`<input type="password" id="\${id}" autocomplete="off"
                                 placeholder="\${field.label}" \${field.required ? 'required' : ''}>\`;
                 } else if (field.type === 'number') {
-                    formHtml += \`<input type="number" id="\${plugin.name}-\${key}" 
-                                min="\${field.min || ''}" max="\${field.max || ''}" 
-                                placeholder="\${field.default || ''}" \${field.required ? 'required' : ''}>\`;
+                    formHtml += \`<input type="number" id="\${id}" 
+                                min="\${field.min ?? ''}" max="\${field.max ?? ''}" 
+                                placeholder="\${field.default ?? ''}" \${field.required ? 'required' : ''}>\`;
+                } else if (field.type === 'select') {
+                    formHtml += \`<select id="\${id}">\`;
+                    if (!field.required && field.default === undefined) {
+                        formHtml += '<option value="">-</option>';
+                    }
+                    (field.options || []).forEach(option => {
+                        const value = typeof option === 'object' ? option.value : option;
+                        const label = typeof option === 'object' ? option.label : option;
+                        formHtml += \`<option value="\${value}" \${value === field.default ? 'selected' : ''}>\${label}</option>\`;
+                    });
+                    formHtml += '</select>';
                 } else if (field.type === 'array') {
-                    formHtml += \`<div id="\${plugin.name}-\${key}-container">
+                    formHtml += \`<div id="\${id}-container">
                                    <input type="text" class="array-input" placeholder="Enter \${field.items || 'item'}">
                                  </div>
-                                 <button type="button" class="add-item" onclick="addArrayItem('\${plugin.name}', '\${key}', '\${field.items}')">
+                                 <button type="button" class="add-item" onclick="addArrayItem('\${idPrefix}', '\${key}', '\${field.items}')">
                                    Add \${field.label}
                                  </button>\`;
                 }
@@ -487,7 +902,68 @@ app.get('/', (req, res) => {
                 formHtml += '</div>';
             });
             
-            container.innerHTML = formHtml;
+            return formHtml;
+        }
+        
+        function readField(field, id) {
+            if (field.type === 'object') {
+                return readFields(field.properties || {}, id).config;
+            }
+            
+            if (field.type === 'array') {
+                const container = document.getElementById(\`\${id}-container\`);
+                const values = Array.from(container.querySelectorAll('.array-input'))
+                    .map(input => input.value.trim())
+                    .filter(value => value !== '');
+                return values.length > 0 ? values : undefined;
+            }
+            
+            const input = document.getElementById(id);
+            if (!input) return undefined;
+            if (field.type === 'boolean') return input.checked;
+            
+            const value = input.value.trim();
+            if (value === '') return undefined;
+            return field.type === 'number' ? Number(value) : value;
+        }
+        
+        // values: what the form shows, used for showIf.
+        // config: visible values that differ from the defaults the gateway applies.
+        function readFields(fields, idPrefix) {
+            const values = {};
+            const config = {};
+            
+            Object.entries(fields).forEach(([key, field]) => {
+                const value = readField(field, \`\${idPrefix}-\${key}\`);
+                values[key] = value === undefined ? field.default : value;
+            });
+            
+            Object.entries(fields).forEach(([key, field]) => {
+                if (!ConfigSchema.isFieldVisible(field, values)) return;
+                
+                const value = values[key];
+                const defaultValue = field.type === 'boolean' ? Boolean(field.default) : field.default;
+                if (field.type === 'object') {
+                    if (Object.keys(value).length > 0) config[key] = value;
+                } else if (value !== undefined && value !== defaultValue) {
+                    config[key] = value;
+                }
+            });
+            
+            return { values, config };
+        }
+        
+        function updateVisibility(fields, idPrefix) {
+            const { values } = readFields(fields, idPrefix);
+            
+            Object.entries(fields).forEach(([key, field]) => {
+                const id = \`\${idPrefix}-\${key}\`;
+                const visible = ConfigSchema.isFieldVisible(field, values);
+                document.getElementById(\`\${id}-group\`).style.display = visible ? '' : 'none';
+                if (field.type === 'object') {
+                    updateVisibility(field.properties || {}, id);
+                }
+            });
         }
         
         function addArrayItem(pluginName, fieldKey, itemType) {
@@ -519,38 +995,26 @@ app.get('/', (req, res) => {
             const config = {};
             let hasValidConfig = false;
             
-            pluginsData.forEach(plugin => {
-                const pluginConfig = {};
-                let hasPluginConfig = false;
-                
-                Object.entries(plugin.configSchema).forEach(([key, field]) => {
-                    if (field.type === 'array') {
-                        const container = document.getElementById(\`\${plugin.name}-\${key}-container\`);
-                        const inputs = container.querySelectorAll('.array-input');
-                        const values = Array.from(inputs)
-                            .map(input => input.value.trim())
-                            .filter(value => value !== '');
-                        
-                        if (values.length > 0) {
-                            pluginConfig[key] = values;
-                            hasPluginConfig = true;
-                        }
-                    } else {
-                        const input = document.getElementById(\`\${plugin.name}-\${key}\`);
-                        if (input && input.value.trim()) {
-                            pluginConfig[key] = field.type === 'number' ? 
-                                parseInt(input.value) : input.value.trim();
-                            hasPluginConfig = true;
-                        }
-                    }
-                });
+            const errors = [];
+            
+            instances.forEach(({ plugin, key }) => {
+                const { config: pluginConfig } = readFields(plugin.configSchema, key);
                 
-                if (hasPluginConfig) {
-                    config[plugin.name] = pluginConfig;
+                // Defaults are left out, so an enabled instance may have an empty config
+                if (document.getElementById(\`enabled-\${key}\`).checked) {
+                    // Same validation the gateway runs on the decoded config
+                    ConfigSchema.validateConfig(plugin.configSchema, pluginConfig)
+                        .forEach(error => errors.push(\`\${key}: \${error}\`));
+                    config[key] = pluginConfig;
                     hasValidConfig = true;
                 }
             });
             
+            if (errors.length > 0) {
+                alert('Invalid configuration:\\n' + errors.join('\\n'));
+                return;
+            }
+            
             if (!hasValidConfig) {
                 alert('Please configure at least one plugin');
                 return;
@@ -589,8 +1053,27 @@ app.get('/', (req, res) => {
     `);
 });
 
-app.listen(APP_PORT, () => {
-    console.log(`OMG Rome Gateway listening on port ${APP_PORT}`);
-    console.log(`Available plugins: ${pluginManager.getAllPlugins().map(p => p.getName()).join(', ')}`);
-    console.log(`Manifest: http://localhost:${APP_PORT}/manifest.json`);
+async function start() {
+    await pluginManager.initPlugins();
+
+    const server = app.listen(APP_PORT, () => {
+        console.log(`OMG Rome Gateway listening on port ${APP_PORT}`);
+        console.log(`Available plugins: ${pluginManager.getAllPlugins().map(p => p.getName()).join(', ')}`);
+        console.log(`Manifest: http://localhost:${APP_PORT}/manifest.json`);
+    });
+
+    // Give plugins a chance to release resources before exiting
+    const shutdown = async (signal) => {
+        console.log(`${signal} received, shutting down plugins`);
+        server.close();
+        await pluginManager.shutdownAll();
+        process.exit(0);
+    };
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
+}
+
+start().catch(error => {
+    console.error('Gateway startup failed:', error);
+    process.exit(1);
 });
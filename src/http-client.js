@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+// Query parameters redacted from logs (and from conformance fixtures)
+const SECRET_PARAMS = ['key', 'api_key', 'apikey', 'token', 'access_token', 'client_secret'];
+const RETRY_STATUS = [429, 500, 502, 503, 504];
+const RETRY_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN'];
+const MAX_RETRY_DELAY_MS = 30000;
+
+const DEFAULT_OPTIONS = {
+    timeoutMs: 15000,
+    retries: 2,
+    retryDelayMs: 500,
+    // At most `requests` requests every `intervalMs`, per plugin
+    rateLimit: { requests: 10, intervalMs: 1000 },
+    cacheEntries: 500,
+    // Log every request, not only retries (OMG_HTTP_LOG=true)
+    logRequests: process.env.OMG_HTTP_LOG === 'true'
+};
+
+function redactUrl(url) {
+    try {
+        const parsed = new URL(url);
+        SECRET_PARAMS.forEach(param => {
+            if (parsed.searchParams.has(param)) parsed.searchParams.set(param, '***');
+        });
+        return parsed.toString();
+    } catch (_) {
+        return url;
+    }
+}
+
+// Lifetime of a response in ms from Cache-Control / Expires, 0 when it must not be reused
+function getCacheTtl(headers) {
+    const cacheControl = String(headers['cache-control'] || '').toLowerCase();
+    if (/no-store|no-cache/.test(cacheControl)) return 0;
+
+    const maxAge = cacheControl.match(/(?:^|,)\s*(?:s-maxage|max-age)=(\d+)/);
+    if (maxAge) return parseInt(maxAge[1]) * 1000;
+
+    if (headers.expires) {
+        const expires = new Date(headers.expires).getTime();
+        return isNaN(expires) ? 0 : Math.max(0, expires - Date.now());
+    }
+    return 0;
+}
+
+// Responses are cached per URL and request headers, so a response fetched
+// with someone's credentials (Authorization, X-Emby-Token, cookies...) is
+// never served to a request made with other ones or without any
+function getCacheKey(url, headers) {
+    const entries = Object.entries(headers || {})
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([name, value]) => [name.toLowerCase(), String(value)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    if (entries.length === 0) return url;
+    return `${url} ${crypto.createHash('sha256').update(JSON.stringify(entries)).digest('hex')}`;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// HTTP client of a plugin, available as this.http. Requests go through the
+// default axios instance, so the conformance kit fixtures apply to them.
+class HttpClient {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = {
+            ...DEFAULT_OPTIONS,
+            ...options,
+            rateLimit: options.rateLimit === null ? null : { ...DEFAULT_OPTIONS.rateLimit, ...options.rateLimit }
+        };
+        this.cache = new Map();
+        this.requestTimes = [];
+        this.rateLimitQueue = Promise.resolve();
+    }
+
+    get(url, config = {}) {
+        return this.request({ ...config, method: 'get', url });
+    }
+
+    post(url, data, config = {}) {
+        return this.request({ ...config, method: 'post', url, data });
+    }
+
+    // axios request config, plus cache: false to skip the response cache.
+    // Resolves with the axios response, rejects with the last axios error.
+    async request(config) {
+        const method = (config.method || 'get').toLowerCase();
+        const requestConfig = { timeout: this.options.timeoutMs, ...config, method };
+        const url = axios.getUri(requestConfig);
+        const cacheable = method === 'get' && config.cache !== false;
+        const cacheKey = cacheable ? getCacheKey(url, config.headers) : null;
+        delete requestConfig.cache;
+
+        if (cacheable) {
+            const cached = this.getCached(cacheKey);
+            if (cached) return cached;
+        }
+
+        // Only idempotent requests are retried
+        const retries = ['get', 'head', 'options'].includes(method) ? this.options.retries : 0;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.waitForRateLimit();
+            const startedAt = Date.now();
+
+            try {
+                const response = await axios.request(requestConfig);
+                this.log(`${method.toUpperCase()} ${redactUrl(url)} ${response.status} ${Date.now() - startedAt}ms`);
+                if (cacheable) this.store(cacheKey, response);
+                return response;
+            } catch (error) {
+                const status = error.response && error.response.status;
+                const retryable = RETRY_STATUS.includes(status) || (!error.response && RETRY_ERROR_CODES.includes(error.code));
+                if (!retryable || attempt >= retries) {
+                    this.log(`${method.toUpperCase()} ${redactUrl(url)} failed: ${error.message}`);
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(error.response, attempt);
+                console.warn(`[${this.name}] ${method.toUpperCase()} ${redactUrl(url)} failed (${status || error.code}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    // Retry-After when the server sends one, otherwise exponential backoff with jitter
+    getRetryDelay(response, attempt) {
+        const retryAfter = response && response.headers && parseInt(response.headers['retry-after']);
+        if (retryAfter >= 0) {
+            return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+        }
+
+        const base = this.options.retryDelayMs * Math.pow(2, attempt);
+        return Math.min(Math.round(base / 2 + Math.random() * base), MAX_RETRY_DELAY_MS);
+    }
+
+    // Sliding window: waits until fewer than rateLimit.requests were sent in
+    // the last rateLimit.intervalMs. Calls are queued so they leave in order.
+    waitForRateLimit() {
+        const { rateLimit } = this.options;
+        if (!rateLimit) return Promise.resolve();
+
+        this.rateLimitQueue = this.rateLimitQueue.then(async () => {
+            for (;;) {
+                const now = Date.now();
+                this.requestTimes = this.requestTimes.filter(time => now - time < rateLimit.intervalMs);
+                if (this.requestTimes.length < rateLimit.requests) {
+                    this.requestTimes.push(now);
+                    return;
+                }
+                await sleep(this.requestTimes[0] + rateLimit.intervalMs - now);
+            }
+        });
+        return this.rateLimitQueue;
+    }
+
+    getCached(key) {
+        const entry = this.cache.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.cache.delete(key);
+            return null;
+        }
+        return entry.response;
+    }
+
+    store(key, response) {
+        const ttl = getCacheTtl(response.headers || {});
+        if (ttl <= 0) return;
+
+        // Oldest entries go first once the cache is full
+        this.cache.delete(key);
+        if (this.cache.size >= this.options.cacheEntries) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(key, { expiresAt: Date.now() + ttl, response });
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+
+    log(message) {
+        if (this.options.logRequests) {
+            console.log(`[${this.name}] ${message}`);
+        }
+    }
+}
+
+module.exports = { HttpClient, SECRET_PARAMS, redactUrl, getCacheTtl };
@@ -0,0 +1,204 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_SCRIPT = path.join(__dirname, 'plugin-worker.js');
+const PING_TIMEOUT_MS = 2000;
+const RESTART_DELAY_MS = 1000;
+const MAX_RESTART_DELAY_MS = 30000;
+// A worker alive this long resets the restart backoff
+const STABLE_AFTER_MS = 60000;
+
+// Async plugin methods executed inside the worker. Everything else
+// (name, schema, capabilities) stays on a local instance because the
+// gateway calls it synchronously.
+const ISOLATED_METHODS = [
+    'getCatalogs',
+    'search',
+    'getChannels',
+    'getVideoMeta',
+    'getVideoUrl',
+    'getStreams',
+    'getSubtitles',
+    'getMediaFile'
+];
+
+// Runs one plugin module in a worker thread, restarting it when it crashes
+class PluginWorker {
+    constructor(modulePath, name, options) {
+        this.modulePath = modulePath;
+        this.name = name;
+        this.timeoutMs = options.timeoutMs;
+        this.memoryMb = options.memoryMb;
+        this.worker = null;
+        this.pending = new Map();
+        this.nextCallId = 1;
+        this.restarts = 0;
+        this.restartDelay = RESTART_DELAY_MS;
+        this.restartTimer = null;
+        this.stopped = false;
+        this.lastError = null;
+        // Replayed on every restart so a new worker is initialized like the first
+        this.initArgs = null;
+    }
+
+    start() {
+        const worker = new Worker(WORKER_SCRIPT, {
+            workerData: { modulePath: this.modulePath },
+            resourceLimits: { maxOldGenerationSizeMb: this.memoryMb }
+        });
+        const startedAt = Date.now();
+
+        worker.on('message', ({ id, result, error }) => {
+            const call = this.pending.get(id);
+            if (!call) return;
+            this.pending.delete(id);
+            clearTimeout(call.timer);
+            error ? call.reject(new Error(error)) : call.resolve(result);
+        });
+
+        worker.on('error', (error) => {
+            this.lastError = error.message;
+            console.error(`Plugin worker ${this.name} error:`, error.message);
+        });
+
+        worker.on('exit', (code) => {
+            if (this.worker !== worker) return;
+            this.worker = null;
+            this.rejectPending(new Error(`Plugin worker ${this.name} exited with code ${code}`));
+
+            if (this.stopped) return;
+
+            if (Date.now() - startedAt > STABLE_AFTER_MS) {
+                this.restartDelay = RESTART_DELAY_MS;
+            }
+            console.warn(`Plugin worker ${this.name} crashed, restarting in ${this.restartDelay}ms`);
+            this.restartTimer = setTimeout(() => this.restart(), this.restartDelay);
+            this.restartDelay = Math.min(this.restartDelay * 2, MAX_RESTART_DELAY_MS);
+        });
+
+        this.worker = worker;
+    }
+
+    restart() {
+        this.restartTimer = null;
+        this.restarts++;
+        this.start();
+
+        if (this.initArgs) {
+            this.call('init', this.initArgs).catch(error => {
+                console.error(`Plugin worker ${this.name} init failed after restart:`, error.message);
+            });
+        }
+    }
+
+    call(method, args, timeoutMs = this.timeoutMs) {
+        if (method === 'init') {
+            this.initArgs = args;
+        }
+
+        if (!this.worker) {
+            return Promise.reject(new Error(`Plugin worker ${this.name} is not running`));
+        }
+
+        const id = this.nextCallId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error(`${this.name}.${method}() timed out after ${timeoutMs}ms`));
+                if (method !== 'ping') {
+                    this.checkResponsive();
+                }
+            }, timeoutMs);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.worker.postMessage({ id, method, args });
+        });
+    }
+
+    // A timed out call may just be a slow request; only a worker that doesn't
+    // answer a ping (blocked event loop) gets terminated and restarted
+    checkResponsive() {
+        const worker = this.worker;
+        if (!worker) return;
+
+        this.call('ping', [], PING_TIMEOUT_MS).catch(() => {
+            if (this.worker === worker) {
+                console.warn(`Plugin worker ${this.name} unresponsive, terminating`);
+                this.lastError = 'Worker unresponsive';
+                worker.terminate();
+            }
+        });
+    }
+
+    rejectPending(error) {
+        this.pending.forEach(call => {
+            clearTimeout(call.timer);
+            call.reject(error);
+        });
+        this.pending.clear();
+    }
+
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.restartTimer);
+
+        if (this.worker) {
+            const worker = this.worker;
+            this.worker = null;
+            this.rejectPending(new Error(`Plugin worker ${this.name} stopped`));
+            await worker.terminate();
+        }
+    }
+
+    getStatus() {
+        return {
+            running: this.worker !== null,
+            restarts: this.restarts,
+            lastError: this.lastError
+        };
+    }
+}
+
+// Wraps a locally instantiated plugin so its async methods run in a worker.
+// The wrapper inherits from the local instance, so synchronous methods and
+// capability checks behave exactly as without isolation.
+function createIsolatedPlugin(modulePath, localPlugin, options) {
+    const name = localPlugin.getName();
+    const pluginWorker = new PluginWorker(modulePath, name, options);
+    const isolated = Object.create(localPlugin);
+
+    ISOLATED_METHODS
+        .filter(method => localPlugin.implements(method))
+        .forEach(method => {
+            isolated[method] = (...args) => pluginWorker.call(method, args);
+        });
+
+    isolated.init = (context) => {
+        pluginWorker.start();
+        return pluginWorker.call('init', [context]);
+    };
+
+    isolated.shutdown = async () => {
+        try {
+            await pluginWorker.call('shutdown', []);
+        } finally {
+            await pluginWorker.stop();
+        }
+    };
+
+    isolated.handleRoute = (handler, request) => pluginWorker.call('handleRoute', [handler, request]);
+
+    isolated.healthCheck = async () => {
+        const worker = pluginWorker.getStatus();
+        if (!worker.running) {
+            return { status: 'degraded', message: 'Worker restarting', worker };
+        }
+
+        const result = await pluginWorker.call('healthCheck', []);
+        return { ...result, worker };
+    };
+
+    return isolated;
+}
+
+module.exports = { createIsolatedPlugin, ISOLATED_METHODS };
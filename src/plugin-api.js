@@ -0,0 +1,111 @@
+// Version of the plugin contract implemented by PluginBase and the gateway.
+// Major bumps break plugins, minor bumps only add optional methods.
+//   1.x  original contract, every method required
+//   2.0  capabilities, lifecycle hooks, getSubtitles, object filter for getChannels
+//   2.1  getStreams, getMediaFile, getRoutes/handleRoute, this.http, this.settings,
+//        async getCatalogs, skip for search, meta/episodes/linked on returned videos
+// Plugins using a 2.1 addition declare '2.1', so older gateways refuse them
+// at load time instead of failing on requests.
+const PLUGIN_API_VERSION = '2.1';
+// Oldest major version still loaded, through compatibility shims
+const MIN_SUPPORTED_MAJOR = 1;
+
+// Methods plugins should stop implementing or calling
+const DEPRECATED_METHODS = {
+    validateConfig: {
+        since: '2.0',
+        message: 'the gateway validates configs against getConfigSchema()'
+    }
+};
+
+const warned = new Set();
+
+function parseVersion(version) {
+    const match = /^(\d+)\.(\d+)(?:\.\d+)?$/.exec(String(version));
+    return match ? { major: parseInt(match[1]), minor: parseInt(match[2]) } : null;
+}
+
+// { compatible, shimmed, reason } for a plugin targeting the given version
+function checkCompatibility(version) {
+    const target = parseVersion(version);
+    const host = parseVersion(PLUGIN_API_VERSION);
+
+    if (!target) {
+        return { compatible: false, shimmed: false, reason: `Invalid plugin API version "${version}"` };
+    }
+
+    if (target.major > host.major || (target.major === host.major && target.minor > host.minor)) {
+        return {
+            compatible: false,
+            shimmed: false,
+            reason: `Requires plugin API ${version}, gateway provides ${PLUGIN_API_VERSION}`
+        };
+    }
+
+    if (target.major < MIN_SUPPORTED_MAJOR) {
+        return { compatible: false, shimmed: false, reason: `Plugin API ${version} is no longer supported` };
+    }
+
+    return { compatible: true, shimmed: target.major < host.major, reason: null };
+}
+
+function warnDeprecated(pluginName, method) {
+    const key = `${pluginName}.${method}`;
+    if (warned.has(key)) return;
+    warned.add(key);
+
+    const deprecation = DEPRECATED_METHODS[method];
+    console.warn(`Plugin ${pluginName}: ${method}() is deprecated since plugin API ${deprecation.since}, ${deprecation.message}`);
+}
+
+// 1.x plugins received the raw Stremio extra string as getChannels filter
+function applyLegacyShim(plugin) {
+    if (!plugin.implements('getChannels')) return;
+
+    const getChannels = plugin.getChannels;
+    plugin.getChannels = function (config, filter = null) {
+        if (!filter || typeof filter !== 'object') {
+            return getChannels.call(this, config, filter);
+        }
+        const { catalogId, ...extra } = filter;
+        const legacyFilter = new URLSearchParams(extra).toString();
+        return getChannels.call(this, config, legacyFilter || null);
+    };
+}
+
+// Check a freshly instantiated plugin against the contract. Throws when the
+// plugin can't run on this gateway, otherwise returns a compatibility report.
+function adaptPlugin(plugin) {
+    const apiVersion = plugin.getApiVersion();
+    const compatibility = checkCompatibility(apiVersion);
+
+    if (!compatibility.compatible) {
+        throw new Error(compatibility.reason);
+    }
+
+    if (compatibility.shimmed) {
+        applyLegacyShim(plugin);
+    }
+
+    const warnings = Object.keys(DEPRECATED_METHODS)
+        .filter(method => plugin.implements(method))
+        .map(method => {
+            warnDeprecated(plugin.getName(), method);
+            return `${method}() is deprecated: ${DEPRECATED_METHODS[method].message}`;
+        });
+
+    return {
+        apiVersion,
+        status: compatibility.shimmed ? 'shimmed' : 'compatible',
+        warnings
+    };
+}
+
+module.exports = {
+    PLUGIN_API_VERSION,
+    MIN_SUPPORTED_MAJOR,
+    DEPRECATED_METHODS,
+    checkCompatibility,
+    warnDeprecated,
+    adaptPlugin
+};
@@ -0,0 +1,90 @@
+const path = require('path');
+const fs = require('fs');
+const PluginBase = require('./plugins/plugin-base');
+
+// npm packages named omg-rome-plugin-<name> (or @scope/omg-rome-plugin-<name>)
+const PACKAGE_PREFIX = 'omg-rome-plugin-';
+
+function isPluginClass(value) {
+    return typeof value === 'function' && value.prototype instanceof PluginBase;
+}
+
+// External plugins can't require('./plugin-base'), so besides a PluginBase
+// subclass a module may export a factory: (PluginBase) => class extends PluginBase
+function resolvePluginClass(exported) {
+    const candidate = exported && exported.__esModule ? exported.default : exported;
+
+    if (isPluginClass(candidate)) {
+        return candidate;
+    }
+
+    if (typeof candidate === 'function') {
+        const produced = candidate(PluginBase);
+        if (isPluginClass(produced)) {
+            return produced;
+        }
+    }
+
+    throw new Error('Module must export a PluginBase subclass or a factory returning one');
+}
+
+function instantiatePlugin(modulePath) {
+    const PluginClass = resolvePluginClass(require(modulePath));
+    const plugin = new PluginClass();
+    const name = plugin.getName();
+
+    if (typeof name !== 'string' || !/^[a-z0-9]+$/.test(name)) {
+        throw new Error(`Invalid plugin name "${name}" (use lowercase letters and digits only)`);
+    }
+
+    return plugin;
+}
+
+// Plugin files in a directory: *.js files and subfolders with an entry point
+function listPluginFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => {
+            if (entry.isFile()) {
+                return entry.name.endsWith('.js') && entry.name !== 'plugin-base.js';
+            }
+            return entry.isDirectory() &&
+                (fs.existsSync(path.join(dir, entry.name, 'package.json')) ||
+                 fs.existsSync(path.join(dir, entry.name, 'index.js')));
+        })
+        .map(entry => path.join(dir, entry.name));
+}
+
+function isPluginPackageName(name) {
+    const baseName = name.startsWith('@') ? name.split('/')[1] || '' : name;
+    return baseName.startsWith(PACKAGE_PREFIX);
+}
+
+// Installed packages in node_modules following the naming convention
+function findPluginPackages(nodeModulesDir) {
+    if (!fs.existsSync(nodeModulesDir)) {
+        return [];
+    }
+
+    const names = [];
+    fs.readdirSync(nodeModulesDir).forEach(entry => {
+        if (entry.startsWith('@')) {
+            const scopeDir = path.join(nodeModulesDir, entry);
+            fs.readdirSync(scopeDir)
+                .map(scoped => `${entry}/${scoped}`)
+                .filter(isPluginPackageName)
+                .forEach(name => names.push(name));
+        } else if (isPluginPackageName(entry)) {
+            names.push(entry);
+        }
+    });
+
+    return names.map(name => path.join(nodeModulesDir, name));
+}
+
+module.exports = {
+    PACKAGE_PREFIX,
+    resolvePluginClass,
+    instantiatePlugin,
+    listPluginFiles,
+    findPluginPackages
+};
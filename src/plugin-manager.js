@@ -1,9 +1,110 @@
 const path = require('path');
 const fs = require('fs');
+const express = require('express');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const PluginBase = require('./plugins/plugin-base');
+const { loadSettings } = require('./settings');
+const { instantiatePlugin, listPluginFiles, findPluginPackages } = require('./plugin-loader');
+const { createIsolatedPlugin } = require('./isolated-plugin');
+const { adaptPlugin } = require('./plugin-api');
+const configSchema = require('./config-schema');
+
+const APP_ROOT = path.join(__dirname, '..');
+const RELOAD_DEBOUNCE_MS = 300;
+const RELOAD_HISTORY_SIZE = 50;
+const INIT_TIMEOUT_MS = 30000;
+const SHUTDOWN_TIMEOUT_MS = 10000;
+const HEALTH_TIMEOUT_MS = 5000;
+// Replaced instances are shut down once in-flight requests had time to finish
+const RETIRE_DELAY_MS = 60000;
+// User config keys: "<plugin>" or "<plugin>.<instance>" for further named instances
+const INSTANCE_KEY = /^([a-z0-9]+)(?:\.([a-z0-9]+))?$/;
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+
+// "/filters/0" -> "filters[0]", "/adv/depth" -> "adv.depth"
+function formatPath(instancePath, property) {
+    const segments = instancePath.split('/').slice(1);
+    if (property !== undefined) segments.push(property);
+    return segments
+        .map((segment, index) => /^\d+$/.test(segment) ? `[${segment}]` : `${index > 0 ? '.' : ''}${segment}`)
+        .join('');
+}
+
+// Ajv errors as the messages validateConfig() produced before JSON Schema
+function formatSchemaError(error) {
+    const key = formatPath(error.instancePath);
+
+    switch (error.keyword) {
+        case 'required':
+            return `${formatPath(error.instancePath, error.params.missingProperty)} is required`;
+        case 'minLength':
+            return `${key} is required`;
+        case 'type':
+            return `${key} must be ${/^[aeiou]/.test(error.params.type) ? 'an' : 'a'} ${error.params.type}`;
+        case 'minimum':
+            return `${key} must be at least ${error.params.limit}`;
+        case 'maximum':
+            return `${key} must be at most ${error.params.limit}`;
+        case 'enum':
+            return `${key} must be one of ${error.params.allowedValues.join(', ')}`;
+        case 'format':
+            return error.params.format === 'uri' ? `${key} must be a valid URL` : `${key} ${error.message}`;
+        default:
+            return `${key || 'config'} ${error.message}`;
+    }
+}
+
+// Plugin route handler result { status, headers, body } to the response.
+// Buffers come back from isolated plugins as Uint8Array.
+function sendRouteResult(res, result = {}) {
+    res.status(result.status || 200);
+    Object.entries(result.headers || {}).forEach(([name, value]) => res.setHeader(name, value));
+
+    const { body } = result;
+    if (body === undefined || body === null) {
+        res.end();
+    } else if (body instanceof Uint8Array) {
+        res.send(Buffer.from(body.buffer, body.byteOffset, body.byteLength));
+    } else if (typeof body === 'object') {
+        res.json(body);
+    } else {
+        res.send(String(body));
+    }
+}
+
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
 class PluginManager {
-    constructor() {
+    constructor(settings = loadSettings()) {
+        this.settings = settings;
         this.plugins = new Map();
+        // Plugin name -> module path it was loaded from
+        this.sources = new Map();
+        // Plugins that could not be loaded, reported by /api/plugins and /health
+        this.loadErrors = [];
+        // Directories scanned for plugin files, watched for hot reload
+        this.pluginDirs = [];
+        this.watchers = [];
+        this.reloadTimers = new Map();
+        this.reloadHistory = [];
+        // Plugin name -> reason, for plugins whose init() failed
+        this.unavailable = new Map();
+        // Plugin instance -> plugin API compatibility report
+        this.compatibility = new WeakMap();
+        // Compiled JSON Schema validators, per plugin instance
+        this.validators = new WeakMap();
+        // Express routers for plugin routes, per plugin instance
+        this.routers = new WeakMap();
         this.loadPlugins();
     }
 
@@ -12,22 +113,327 @@ class PluginManager {
         
         if (!fs.existsSync(pluginsDir)) {
             console.warn('Plugins directory not found');
-            return;
+        } else {
+            this.pluginDirs.push(pluginsDir);
+            listPluginFiles(pluginsDir).forEach(file => this.loadPlugin(file));
         }
 
-        const pluginFiles = fs.readdirSync(pluginsDir)
-            .filter(file => file.endsWith('.js') && file !== 'plugin-base.js');
+        this.settings.pluginDirs.forEach(dir => {
+            if (!fs.existsSync(dir)) {
+                this.recordLoadError(dir, new Error('Plugin directory not found'));
+                return;
+            }
+            this.pluginDirs.push(dir);
+            listPluginFiles(dir).forEach(file => this.loadPlugin(file));
+        });
 
-        pluginFiles.forEach(file => {
+        this.getPluginPackages().forEach(modulePath => this.loadPlugin(modulePath));
+    }
+
+    getPluginPackages() {
+        const packages = new Set();
+
+        this.settings.pluginPackages.forEach(name => {
             try {
-                const PluginClass = require(path.join(pluginsDir, file));
-                const plugin = new PluginClass();
-                this.plugins.set(plugin.getName(), plugin);
-                console.log(`Plugin loaded: ${plugin.getName()}`);
+                packages.add(path.dirname(require.resolve(`${name}/package.json`, {
+                    paths: [process.cwd(), APP_ROOT]
+                })));
             } catch (error) {
-                console.error(`Failed to load plugin ${file}:`, error.message);
+                this.recordLoadError(name, new Error('Package not installed'));
             }
         });
+
+        if (this.settings.discoverPackages) {
+            new Set([process.cwd(), APP_ROOT]).forEach(root => {
+                findPluginPackages(path.join(root, 'node_modules'))
+                    .forEach(packageDir => packages.add(packageDir));
+            });
+        }
+
+        return Array.from(packages);
+    }
+
+    // Incompatible plugins throw here and end up in the load errors.
+    // In isolation mode the plugin's async methods run in a worker thread.
+    createPlugin(modulePath) {
+        const local = instantiatePlugin(modulePath);
+        const report = adaptPlugin(local);
+        const plugin = this.settings.isolation.mode === 'worker' ?
+            createIsolatedPlugin(modulePath, local, this.settings.isolation) :
+            local;
+
+        this.compatibility.set(plugin, report);
+        return plugin;
+    }
+
+    getCompatibility(name) {
+        return this.compatibility.get(this.plugins.get(name)) || null;
+    }
+
+    loadPlugin(modulePath) {
+        try {
+            const plugin = this.createPlugin(modulePath);
+            const name = plugin.getName();
+
+            if (this.plugins.has(name)) {
+                throw new Error(`Plugin name "${name}" already loaded from ${this.sources.get(name)}`);
+            }
+
+            this.plugins.set(name, plugin);
+            this.sources.set(name, modulePath);
+            console.log(`Plugin loaded: ${name}`);
+            return plugin;
+        } catch (error) {
+            this.recordLoadError(modulePath, error);
+            return null;
+        }
+    }
+
+    recordLoadError(source, error) {
+        console.error(`Failed to load plugin ${source}:`, error.message);
+        this.loadErrors.push({ source, error: error.message });
+    }
+
+    clearLoadError(source) {
+        this.loadErrors = this.loadErrors.filter(entry => entry.source !== source);
+    }
+
+    getLoadErrors() {
+        return this.loadErrors;
+    }
+
+    getPluginSettings(name) {
+        return (this.settings.plugins && this.settings.plugins[name]) || {};
+    }
+
+    async initPlugins() {
+        await Promise.all(this.getAllPlugins().map(plugin => this.initPlugin(plugin)));
+    }
+
+    callInit(plugin) {
+        const name = plugin.getName();
+        const settings = this.getPluginSettings(name);
+        // Also read by synchronous methods (getCatalogs...), which stay local when isolated
+        plugin.settings = settings;
+        return withTimeout(
+            Promise.resolve(plugin.init({ settings })),
+            INIT_TIMEOUT_MS,
+            `${name} init`
+        );
+    }
+
+    async initPlugin(plugin) {
+        const name = plugin.getName();
+
+        try {
+            await this.callInit(plugin);
+            this.unavailable.delete(name);
+            return true;
+        } catch (error) {
+            console.error(`Plugin ${name} unavailable, init failed:`, error.message);
+            this.unavailable.set(name, error.message);
+            return false;
+        }
+    }
+
+    isAvailable(name) {
+        return this.plugins.has(name) && !this.unavailable.has(name);
+    }
+
+    getUnavailableReason(name) {
+        return this.unavailable.get(name) || null;
+    }
+
+    async shutdownPlugin(plugin) {
+        try {
+            await withTimeout(Promise.resolve(plugin.shutdown()), SHUTDOWN_TIMEOUT_MS, `${plugin.getName()} shutdown`);
+        } catch (error) {
+            console.error(`Plugin ${plugin.getName()} shutdown failed:`, error.message);
+        }
+    }
+
+    async shutdownAll() {
+        this.unwatchPlugins();
+        await Promise.all(this.getAllPlugins().map(plugin => this.shutdownPlugin(plugin)));
+    }
+
+    // Shut down a replaced instance later, requests may still be using it
+    retirePlugin(plugin) {
+        const timer = setTimeout(() => this.shutdownPlugin(plugin), RETIRE_DELAY_MS);
+        timer.unref();
+    }
+
+    async checkHealth() {
+        const results = {};
+
+        await Promise.all(this.getAllPlugins().map(async plugin => {
+            const name = plugin.getName();
+
+            if (this.unavailable.has(name)) {
+                results[name] = { status: 'unavailable', message: this.unavailable.get(name) };
+                return;
+            }
+
+            try {
+                const result = await withTimeout(Promise.resolve(plugin.healthCheck()), HEALTH_TIMEOUT_MS, `${name} health check`);
+                results[name] = { status: 'ok', ...result };
+            } catch (error) {
+                results[name] = { status: 'error', message: error.message };
+            }
+        }));
+
+        return results;
+    }
+
+    // Hot reload: routes look a plugin up once per request, so swapping the
+    // instance in the map lets in-flight requests finish on the old one while
+    // new requests get the new one.
+    watchPlugins() {
+        this.pluginDirs.forEach(dir => {
+            const watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+                if (!filename) return;
+
+                const entry = filename.split(path.sep)[0];
+                if (entry === 'plugin-base.js') return;
+
+                this.scheduleReload(path.join(dir, entry));
+            });
+            watcher.on('error', error => console.error(`Plugin watcher error on ${dir}:`, error.message));
+            this.watchers.push(watcher);
+        });
+
+        console.log(`Watching plugin directories: ${this.pluginDirs.join(', ')}`);
+    }
+
+    unwatchPlugins() {
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+        this.reloadTimers.forEach(timer => clearTimeout(timer));
+        this.reloadTimers.clear();
+    }
+
+    // Editors emit several events per save, only reload once they settle
+    scheduleReload(source) {
+        clearTimeout(this.reloadTimers.get(source));
+        this.reloadTimers.set(source, setTimeout(() => {
+            this.reloadTimers.delete(source);
+            if (this.isPluginSource(source) || this.findPluginBySource(source)) {
+                this.reloadSource(source).catch(error => {
+                    console.error(`Plugin reload error for ${source}:`, error.message);
+                });
+            }
+        }, RELOAD_DEBOUNCE_MS));
+    }
+
+    isPluginSource(source) {
+        if (!fs.existsSync(source)) return false;
+        return fs.statSync(source).isDirectory() ?
+            listPluginFiles(path.dirname(source)).includes(source) :
+            source.endsWith('.js');
+    }
+
+    findPluginBySource(source) {
+        for (const [name, pluginSource] of this.sources) {
+            if (pluginSource === source) return name;
+        }
+        return null;
+    }
+
+    async reloadPlugin(name) {
+        const source = this.sources.get(name);
+        if (!source) {
+            throw new Error(`Plugin ${name} not found`);
+        }
+        return this.reloadSource(source);
+    }
+
+    async reloadAll() {
+        const results = [];
+        for (const source of new Set(this.sources.values())) {
+            results.push(await this.reloadSource(source));
+        }
+        return results;
+    }
+
+    async reloadSource(source) {
+        const previousName = this.findPluginBySource(source);
+
+        if (!fs.existsSync(source)) {
+            if (!previousName) return null;
+            this.retirePlugin(this.plugins.get(previousName));
+            this.plugins.delete(previousName);
+            this.sources.delete(previousName);
+            console.log(`Plugin removed: ${previousName}`);
+            return this.recordReload(previousName, source, 'removed');
+        }
+
+        this.purgeRequireCache(source);
+
+        let plugin = null;
+
+        try {
+            plugin = this.createPlugin(source);
+            const name = plugin.getName();
+            const owner = this.sources.get(name);
+
+            if (owner && owner !== source) {
+                throw new Error(`Plugin name "${name}" already loaded from ${owner}`);
+            }
+
+            // Initialize before swapping so requests never see a cold instance
+            await this.callInit(plugin);
+
+            if (previousName) {
+                this.retirePlugin(this.plugins.get(previousName));
+                this.unavailable.delete(previousName);
+            }
+
+            if (previousName && previousName !== name) {
+                this.plugins.delete(previousName);
+                this.sources.delete(previousName);
+            }
+
+            this.plugins.set(name, plugin);
+            this.sources.set(name, source);
+            this.clearLoadError(source);
+            console.log(`Plugin ${previousName ? 'reloaded' : 'loaded'}: ${name}`);
+            return this.recordReload(name, source, previousName ? 'reloaded' : 'added');
+        } catch (error) {
+            // Keep serving the previous instance until the plugin is fixed
+            console.error(`Failed to reload plugin ${source}:`, error.message);
+            if (plugin) {
+                this.shutdownPlugin(plugin);
+            }
+            if (!previousName) {
+                this.clearLoadError(source);
+                this.loadErrors.push({ source, error: error.message });
+            }
+            return this.recordReload(previousName, source, 'failed', error);
+        }
+    }
+
+    purgeRequireCache(source) {
+        Object.keys(require.cache)
+            .filter(key => key === source || key.startsWith(source + path.sep))
+            .forEach(key => delete require.cache[key]);
+    }
+
+    recordReload(plugin, source, status, error = null) {
+        const result = {
+            plugin,
+            source,
+            status,
+            error: error ? error.message : null,
+            at: new Date().toISOString()
+        };
+
+        this.reloadHistory.unshift(result);
+        this.reloadHistory.length = Math.min(this.reloadHistory.length, RELOAD_HISTORY_SIZE);
+        return result;
+    }
+
+    getReloadHistory() {
+        return this.reloadHistory;
     }
 
     getPlugin(name) {
@@ -38,93 +444,166 @@ class PluginManager {
         return Array.from(this.plugins.values());
     }
 
+    // "youtube.work" -> { pluginName: 'youtube', instance: 'work' }, null when malformed
+    parseInstanceKey(key) {
+        const match = INSTANCE_KEY.exec(key);
+        return match ? { pluginName: match[1], instance: match[2] || null } : null;
+    }
+
+    // Plugin instances in the user config, { key, plugin, instance } each.
+    // Unknown plugins and unavailable ones are left out.
+    getConfiguredInstances(config = {}) {
+        return Object.keys(config)
+            .filter(key => config[key])
+            .map(key => ({ key, parsed: this.parseInstanceKey(key) }))
+            .filter(({ parsed }) => parsed && this.plugins.has(parsed.pluginName) &&
+                !this.unavailable.has(parsed.pluginName))
+            .map(({ key, parsed }) => ({
+                key,
+                plugin: this.plugins.get(parsed.pluginName),
+                instance: parsed.instance
+            }));
+    }
+
+    // Instances with a valid config in the user config
+    getActiveInstances(config = {}) {
+        return this.getConfiguredInstances(config)
+            .filter(({ key, plugin }) => this.getPluginConfigErrors(plugin, config, key).length === 0);
+    }
+
+    // Instances present in the user config whose config doesn't validate
+    getInvalidInstances(config = {}) {
+        return this.getConfiguredInstances(config)
+            .map(entry => ({ ...entry, errors: this.getPluginConfigErrors(entry.plugin, config, entry.key) }))
+            .filter(({ errors }) => errors.length > 0);
+    }
+
+    // Plugins with at least one valid instance in the user config
     getActivePlugins(config = {}) {
-        return Array.from(this.plugins.values()).filter(plugin => {
-            const pluginConfig = config[plugin.getName()];
-            return pluginConfig && this.isPluginConfigured(plugin, pluginConfig);
+        return Array.from(new Set(this.getActiveInstances(config).map(({ plugin }) => plugin)));
+    }
+
+    // Mounts plugin routes under /plugins/<name>/. The plugin is looked up on
+    // every request, so routes follow hot reloads.
+    mountRoutes(app, { requireAdmin, getBaseUrl }) {
+        app.use('/plugins/:name', (req, res) => {
+            const pluginName = req.params.name;
+            const plugin = this.getPlugin(pluginName);
+            if (!plugin) {
+                return res.status(404).json({ error: 'Plugin not found' });
+            }
+            if (!this.isAvailable(pluginName)) {
+                return res.status(503).json({ error: `Plugin ${pluginName} unavailable` });
+            }
+
+            let router = this.routers.get(plugin);
+            if (!router) {
+                router = this.createPluginRouter(plugin, { requireAdmin, getBaseUrl });
+                this.routers.set(plugin, router);
+            }
+            router(req, res, () => res.status(404).json({ error: 'Route not found' }));
         });
     }
 
-    isPluginConfigured(plugin, config) {
-        const schema = plugin.getConfigSchema();
-        
-        // Check if all required fields are present
-        for (const [key, field] of Object.entries(schema)) {
-            if (field.required && (!config[key] || config[key] === '')) {
-                return false;
+    createPluginRouter(plugin, { requireAdmin, getBaseUrl }) {
+        const pluginName = plugin.getName();
+        const router = express.Router();
+
+        plugin.getRoutes().forEach(route => {
+            const method = (route.method || 'get').toLowerCase();
+            const label = `${method.toUpperCase()} /plugins/${pluginName}${route.path}`;
+
+            if (!ROUTE_METHODS.includes(method) || typeof route.path !== 'string' || !route.path.startsWith('/') ||
+                typeof plugin[route.handler] !== 'function') {
+                console.warn(`Plugin ${pluginName}: ignoring invalid route ${label} (handler ${route.handler})`);
+                return;
             }
-        }
-        
-        return true;
+
+            const middleware = route.auth === 'public' ? [] : [requireAdmin];
+            router[method](route.path, ...middleware, async (req, res) => {
+                try {
+                    const result = await plugin.handleRoute(route.handler, {
+                        method: req.method,
+                        path: req.path,
+                        params: req.params,
+                        query: req.query,
+                        body: req.body,
+                        headers: req.headers,
+                        baseUrl: `${getBaseUrl(req)}/plugins/${pluginName}`
+                    });
+                    sendRouteResult(res, result);
+                } catch (error) {
+                    console.error(`Plugin route ${label} failed:`, error.message);
+                    res.status(500).json({ error: 'Plugin route failed' });
+                }
+            });
+            console.log(`Plugin route mounted: ${label}${route.auth === 'public' ? ' (public)' : ''}`);
+        });
+
+        return router;
     }
 
+    // Catalogs a plugin can actually serve, with their Stremio content type.
+    // getCatalogs() may return them directly or through a promise.
+    async getPluginCatalogs(plugin, config) {
+        const { SEARCH, CHANNELS, LIVE } = PluginBase.CAPABILITIES;
+
+        return (await plugin.getCatalogs(config))
+            .filter(catalog => catalog.id === 'search' ?
+                plugin.supports(SEARCH) :
+                plugin.supports(CHANNELS) || (plugin.supports(LIVE) && plugin.implements('getChannels')))
+            .map(catalog => ({
+                ...catalog,
+                // Search catalogs as movies, channel feeds as channels
+                type: catalog.type || (catalog.id === 'search' ? 'movie' : 'channel')
+            }));
+    }
+
+    isPluginConfigured(plugin, config) {
+        return configSchema.isConfigured(plugin.getConfigSchema(), config);
+    }
+
+    // Config of one plugin instance from the user config, with schema defaults applied
+    getPluginConfig(plugin, config = {}, key = plugin.getName()) {
+        return configSchema.applyDefaults(plugin.getConfigSchema(), config[key] || {});
+    }
+
+    // Plugin config schema as a standard JSON Schema document
+    getConfigJsonSchema(plugin) {
+        return configSchema.toJsonSchema(plugin.getConfigSchema(), { title: plugin.getDisplayName() });
+    }
+
+    // Validation errors for one plugin instance in the user config
+    getPluginConfigErrors(plugin, config = {}, key = plugin.getName()) {
+        return this.validatePluginConfig(plugin.getName(), config[key] || {});
+    }
+
+    // Validates against getConfigJsonSchema(), defaults applied first.
+    // Returns a list of error messages, empty when the config is valid.
     validatePluginConfig(pluginName, config) {
         const plugin = this.getPlugin(pluginName);
         if (!plugin) {
             throw new Error(`Plugin ${pluginName} not found`);
         }
 
-        const schema = plugin.getConfigSchema();
-        const errors = [];
-
-        for (const [key, field] of Object.entries(schema)) {
-            const value = config[key];
-
-            // Required field validation
-            if (field.required && (!value || value === '')) {
-                errors.push(`${key} is required`);
-                continue;
-            }
-
-            // Type validation
-            if (value !== undefined && value !== '') {
-                if (field.type === 'string' && typeof value !== 'string') {
-                    errors.push(`${key} must be a string`);
-                } else if (field.type === 'number' && typeof value !== 'number') {
-                    errors.push(`${key} must be a number`);
-                } else if (field.type === 'array' && !Array.isArray(value)) {
-                    errors.push(`${key} must be an array`);
-                }
-
-                // Min/max validation for numbers
-                if (field.type === 'number' && typeof value === 'number') {
-                    if (field.min !== undefined && value < field.min) {
-                        errors.push(`${key} must be at least ${field.min}`);
-                    }
-                    if (field.max !== undefined && value > field.max) {
-                        errors.push(`${key} must be at most ${field.max}`);
-                    }
-                }
+        let validate = this.validators.get(plugin);
+        if (!validate) {
+            validate = ajv.compile(this.getConfigJsonSchema(plugin));
+            this.validators.set(plugin, validate);
+        }
 
-                // Array items validation
-                if (field.type === 'array' && Array.isArray(value) && field.items) {
-                    if (field.items === 'string') {
-                        value.forEach((item, index) => {
-                            if (typeof item !== 'string') {
-                                errors.push(`${key}[${index}] must be a string`);
-                            }
-                        });
-                    } else if (field.items === 'url') {
-                        value.forEach((item, index) => {
-                            if (typeof item !== 'string' || !this.isValidUrl(item)) {
-                                errors.push(`${key}[${index}] must be a valid URL`);
-                            }
-                        });
-                    }
-                }
-            }
+        if (validate(configSchema.applyDefaults(plugin.getConfigSchema(), config))) {
+            return [];
         }
 
-        return errors;
+        // if/then failures come with the "required" error that explains them
+        return [...new Set(validate.errors
+            .filter(error => error.keyword !== 'if')
+            .map(formatSchemaError))];
     }
 
     isValidUrl(string) {
-        try {
-            new URL(string);
-            return true;
-        } catch (_) {
-            return false;
-        }
+        return configSchema.isValidUrl(string);
     }
 }
 
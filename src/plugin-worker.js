@@ -0,0 +1,25 @@
+// Worker thread entry used by isolation mode: hosts one plugin instance and
+// answers method calls coming from IsolatedPlugin in the main thread.
+const { parentPort, workerData } = require('worker_threads');
+const { instantiatePlugin } = require('./plugin-loader');
+const { adaptPlugin } = require('./plugin-api');
+
+const plugin = instantiatePlugin(workerData.modulePath);
+adaptPlugin(plugin);
+
+parentPort.on('message', async ({ id, method, args }) => {
+    if (method === 'ping') {
+        parentPort.postMessage({ id, result: 'pong' });
+        return;
+    }
+
+    try {
+        if (method === 'init') {
+            plugin.settings = (args[0] && args[0].settings) || {};
+        }
+        const result = await plugin[method](...args);
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: error && error.message ? error.message : String(error) });
+    }
+});
@@ -0,0 +1,214 @@
+const PluginBase = require('./plugin-base');
+
+const ARCHIVE_URL = 'https://archive.org';
+const PAGE_SIZE = 50;
+const IDENTIFIER_PATTERN = /^[\w.-]+$/;
+const SEARCH_FIELDS = ['identifier', 'title', 'description', 'creator', 'publicdate'];
+// Web-friendly derivatives, preferred in this order at the same height
+const VIDEO_FORMATS = [
+    { extension: '.mp4', label: 'MP4' },
+    { extension: '.ogv', label: 'Ogg' }
+];
+
+// Lucene special characters in free text queries
+function escapeQuery(text) {
+    return String(text).replace(/[+\-&|!(){}[\]^"~*?:\\/]/g, '\\$&');
+}
+
+// Archive fields can be a single value or a list
+function firstValue(value) {
+    const first = Array.isArray(value) ? value[0] : value;
+    return first === undefined || first === null ? '' : String(first);
+}
+
+function stripHtml(html) {
+    return String(html || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '');
+}
+
+// archive.org movies: search and the latest items of the configured
+// collections through the advancedsearch API, meta and streams from the
+// metadata API. Video ids are archive.org item identifiers.
+class ArchivePlugin extends PluginBase {
+    getName() {
+        return 'archive';
+    }
+
+    getDisplayName() {
+        return 'Internet Archive';
+    }
+
+    getApiVersion() {
+        return '2.1';
+    }
+
+    getCapabilities() {
+        const { SEARCH, CHANNELS, META, STREAM } = PluginBase.CAPABILITIES;
+        return [SEARCH, CHANNELS, META, STREAM];
+    }
+
+    getConfigSchema() {
+        return {
+            collections: {
+                type: 'array',
+                items: 'url',
+                required: false,
+                label: 'Collezioni Seguite',
+                description: 'URL delle collezioni archive.org (https://archive.org/details/...)'
+            }
+        };
+    }
+
+    getCatalogs(config) {
+        const catalogs = [{
+            id: 'search',
+            name: 'Internet Archive - Ricerca',
+            extra: [
+                { name: 'search', isRequired: true, options: [''] }
+            ]
+        }];
+
+        if (this.getCollections(config).length > 0) {
+            catalogs.push({
+                id: 'collections',
+                name: 'Internet Archive - Collezioni',
+                extra: [{ name: 'skip', isRequired: false }]
+            });
+        }
+
+        return catalogs;
+    }
+
+    async search(query, config, limit = PAGE_SIZE) {
+        return this.advancedSearch(`(${escapeQuery(query)})`, { rows: limit });
+    }
+
+    // Newest items across the configured collections, one query for all of them
+    async getChannels(config, filter = null) {
+        const collections = this.getCollections(config);
+        if (collections.length === 0) {
+            return [];
+        }
+
+        const skip = parseInt(filter && filter.skip) || 0;
+        return this.advancedSearch(`collection:(${collections.join(' OR ')})`, {
+            rows: PAGE_SIZE,
+            page: Math.floor(skip / PAGE_SIZE) + 1,
+            sort: 'publicdate desc'
+        });
+    }
+
+    async getVideoMeta(videoId) {
+        const item = await this.getItem(videoId);
+        const metadata = item.metadata;
+        const [best] = this.getVideoFiles(item);
+
+        return {
+            id: metadata.identifier,
+            title: this.sanitizeString(firstValue(metadata.title)) || metadata.identifier,
+            description: stripHtml(firstValue(metadata.description)),
+            thumbnail: `${ARCHIVE_URL}/services/img/${metadata.identifier}`,
+            channelTitle: this.sanitizeString(firstValue(metadata.creator)) || 'Internet Archive',
+            publishedAt: this.toIsoDate(metadata.publicdate || metadata.date),
+            duration: best && best.length ? this.formatDuration(Math.round(parseFloat(best.length))) : 'Video'
+        };
+    }
+
+    // The best derivative of every video in the item, as direct streams
+    async getStreams(videoId) {
+        const item = await this.getItem(videoId);
+        const files = this.getVideoFiles(item);
+        const multiple = files.length > 1;
+
+        return files.map(file => {
+            const quality = [VIDEO_FORMATS[file.formatIndex].label, file.height ? `${file.height}p` : null].filter(Boolean).join(' ');
+            return {
+                name: 'Internet Archive',
+                title: multiple ? `${this.sanitizeString(firstValue(file.title)) || file.name}\n${quality}` : quality,
+                url: `${ARCHIVE_URL}/download/${item.metadata.identifier}/${file.name.split('/').map(encodeURIComponent).join('/')}`
+            };
+        });
+    }
+
+    // Private helper methods
+    // "https://archive.org/details/<identifier>" -> "<identifier>"
+    getCollections(config) {
+        const collections = (config.collections || []).map(url => {
+            const match = String(url).match(/archive\.org\/details\/([^/?#]+)/i);
+            return match ? decodeURIComponent(match[1]) : null;
+        });
+        return Array.from(new Set(collections.filter(id => id && IDENTIFIER_PATTERN.test(id))));
+    }
+
+    async advancedSearch(query, { rows, page = 1, sort = null }) {
+        const params = new URLSearchParams({
+            q: `${query} AND mediatype:(movies)`,
+            rows: String(rows),
+            page: String(page),
+            output: 'json'
+        });
+        SEARCH_FIELDS.forEach(field => params.append('fl[]', field));
+        if (sort) params.append('sort[]', sort);
+
+        try {
+            const response = await this.http.get(`${ARCHIVE_URL}/advancedsearch.php?${params}`);
+            return response.data.response.docs.map(doc => this.formatSearchItem(doc));
+        } catch (error) {
+            throw new Error(`Internet Archive search failed: ${error.message}`);
+        }
+    }
+
+    async getItem(identifier) {
+        if (!IDENTIFIER_PATTERN.test(identifier)) {
+            throw new Error(`Invalid Internet Archive identifier ${identifier}`);
+        }
+
+        const response = await this.http.get(`${ARCHIVE_URL}/metadata/${identifier}`);
+        // Unknown items answer 200 with an empty object
+        if (!response.data || !response.data.metadata) {
+            throw new Error(`Internet Archive item ${identifier} not found`);
+        }
+        return response.data;
+    }
+
+    // Originals and their derivatives grouped by source video, keeping the
+    // tallest mp4/ogv of each group (mp4 on ties), in the item's file order
+    getVideoFiles(item) {
+        const groups = new Map();
+
+        (item.files || []).forEach(file => {
+            const name = String(file.name || '');
+            const formatIndex = VIDEO_FORMATS.findIndex(format => name.toLowerCase().endsWith(format.extension));
+            if (formatIndex === -1) return;
+
+            const source = file.source === 'derivative' && file.original ? file.original : name;
+            const candidate = { ...file, name, height: parseInt(file.height) || 0, formatIndex };
+            const current = groups.get(source);
+            if (!current ||
+                candidate.height > current.height ||
+                (candidate.height === current.height && candidate.formatIndex < current.formatIndex)) {
+                groups.set(source, candidate);
+            }
+        });
+
+        return Array.from(groups.values());
+    }
+
+    toIsoDate(value) {
+        const date = new Date(firstValue(value));
+        return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+    }
+
+    formatSearchItem(doc) {
+        return {
+            id: doc.identifier,
+            title: this.sanitizeString(firstValue(doc.title)) || doc.identifier,
+            description: stripHtml(firstValue(doc.description)),
+            thumbnail: `${ARCHIVE_URL}/services/img/${doc.identifier}`,
+            channelTitle: this.sanitizeString(firstValue(doc.creator)) || 'Internet Archive',
+            publishedAt: this.toIsoDate(doc.publicdate),
+            duration: 'Video'
+        };
+    }
+}
+
+module.exports = ArchivePlugin;
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const PluginBase = require('./plugin-base');
+
+const PAGE_SIZE = 50;
+const LIBRARIES_TTL_MS = 5 * 60 * 1000;
+// Servers (and users) whose libraries are kept, the oldest go first
+const MAX_LIBRARY_ENTRIES = 100;
+const TICKS_PER_SECOND = 10000000;
+const ITEM_FIELDS = 'Overview,PremiereDate,DateCreated,Studios';
+// Library CollectionType -> Stremio type and the item types it lists;
+// libraries without a CollectionType are mixed folders
+const LIBRARY_TYPES = {
+    movies: { type: 'movie', itemTypes: 'Movie' },
+    tvshows: { type: 'series', itemTypes: 'Series' },
+    homevideos: { type: 'movie', itemTypes: 'Video' },
+    musicvideos: { type: 'movie', itemTypes: 'MusicVideo' },
+    mixed: { type: 'movie', itemTypes: 'Movie,Video,MusicVideo' }
+};
+// Containers most players handle without the Stremio streaming server
+const WEB_READY_CONTAINERS = ['mp4', 'm4v', 'mov', 'webm'];
+const TRANSCODE_BITRATE = 8000000;
+
+// Libraries of a Jellyfin (or Emby) server: one catalog per video library,
+// movies and videos as metas, shows as series with their episodes. Items are
+// read through the per-user endpoints (/Users/<id>/...), which Emby and older
+// Jellyfin require, as the configured user or the first administrator.
+// Streams are the server's direct play and HLS transcoding URLs, carrying the
+// API key since players can't send headers. Video ids are the server's item ids.
+class JellyfinPlugin extends PluginBase {
+    constructor() {
+        super();
+        // Server + API key hash + user -> { userId, libraries, fetchedAt }
+        this.libraries = new Map();
+        this.pendingLibraries = new Map();
+    }
+
+    async shutdown() {
+        this.libraries.clear();
+    }
+
+    getName() {
+        return 'jellyfin';
+    }
+
+    getDisplayName() {
+        return 'Jellyfin / Emby';
+    }
+
+    getApiVersion() {
+        return '2.1';
+    }
+
+    getCapabilities() {
+        const { CHANNELS, META, STREAM } = PluginBase.CAPABILITIES;
+        return [CHANNELS, META, STREAM];
+    }
+
+    getConfigSchema() {
+        return {
+            server: {
+                type: 'url',
+                required: true,
+                label: 'Server',
+                description: 'Indirizzo del server Jellyfin o Emby (http://192.168.1.10:8096)'
+            },
+            apiKey: {
+                type: 'secret',
+                required: true,
+                label: 'API Key',
+                description: 'Dashboard > Chiavi API'
+            },
+            user: {
+                type: 'string',
+                label: 'Utente',
+                description: 'Nome dell\'utente di cui mostrare le librerie (predefinito: il primo amministratore)'
+            }
+        };
+    }
+
+    // Video libraries of the server, so the manifest waits for it
+    async getCatalogs(config) {
+        const { libraries } = await this.getLibraries(config);
+        return libraries.map(library => ({
+            id: `lib${library.Id}`,
+            type: this.getLibraryType(library).type,
+            name: library.Name,
+            extra: [{ name: 'skip', isRequired: false }]
+        }));
+    }
+
+    async getChannels(config, filter = null) {
+        const libraryId = String(filter && filter.catalogId || '').replace(/^lib/, '');
+        const skip = parseInt(filter && filter.skip) || 0;
+        const { userId, libraries } = await this.getLibraries(config);
+        const library = libraries.find(candidate => candidate.Id === libraryId);
+        if (!library) {
+            return [];
+        }
+
+        const data = await this.request(config, `/Users/${userId}/Items`, {
+            ParentId: library.Id,
+            Recursive: 'true',
+            IncludeItemTypes: this.getLibraryType(library).itemTypes,
+            SortBy: 'DateCreated,SortName',
+            SortOrder: 'Descending',
+            StartIndex: String(skip),
+            Limit: String(PAGE_SIZE),
+            Fields: ITEM_FIELDS
+        });
+        return data.Items.map(item => this.formatItem(item, config));
+    }
+
+    // Shows come with their episodes
+    async getVideoMeta(videoId, config) {
+        const item = await this.getItem(videoId, config);
+        const meta = this.formatItem(item, config);
+
+        if (item.Type === 'Series') {
+            const { userId } = await this.getLibraries(config);
+            const data = await this.request(config, `/Shows/${item.Id}/Episodes`, { UserId: userId, Fields: ITEM_FIELDS });
+            meta.episodes = data.Items.map(episode => ({
+                id: episode.Id,
+                title: episode.Name,
+                description: episode.Overview || '',
+                thumbnail: this.getImageUrl(episode, config),
+                publishedAt: episode.PremiereDate || episode.DateCreated,
+                season: episode.ParentIndexNumber || 1,
+                episode: episode.IndexNumber || 0
+            }));
+        }
+        return meta;
+    }
+
+    // Direct play and HLS transcoding for every version of the item
+    async getStreams(videoId, config) {
+        const item = await this.getItem(videoId, config, 'MediaSources');
+        const server = this.getServerUrl(config);
+        const sources = item.MediaSources || [];
+
+        return sources.flatMap(source => {
+            const video = (source.MediaStreams || []).find(stream => stream.Type === 'Video') || {};
+            const container = String(source.Container || '').split(',')[0];
+            const label = sources.length > 1 ? `${source.Name}\n` : '';
+            const query = new URLSearchParams({ MediaSourceId: source.Id, api_key: config.apiKey });
+
+            const direct = {
+                name: 'Jellyfin',
+                title: `${label}Diretta - ${[container.toUpperCase(), video.Height ? `${video.Height}p` : null].filter(Boolean).join(' ')}`,
+                url: `${server}/Videos/${item.Id}/stream?static=true&${query}`
+            };
+            if (!WEB_READY_CONTAINERS.includes(container.toLowerCase())) {
+                direct.behaviorHints = { notWebReady: true };
+            }
+
+            query.set('DeviceId', 'omg-rome');
+            query.set('VideoCodec', 'h264');
+            query.set('AudioCodec', 'aac');
+            query.set('TranscodingMaxAudioChannels', '2');
+            query.set('MaxStreamingBitrate', String(TRANSCODE_BITRATE));
+            return [direct, {
+                name: 'Jellyfin',
+                title: `${label}Transcodifica (HLS)`,
+                url: `${server}/Videos/${item.Id}/master.m3u8?${query}`
+            }];
+        });
+    }
+
+    // Private helper methods
+    getServerUrl(config) {
+        const server = String(config.server || '').trim().replace(/\/+$/, '');
+        if (!/^https?:\/\/[^/]/i.test(server)) {
+            throw new Error(`Invalid Jellyfin server ${config.server}`);
+        }
+        return server;
+    }
+
+    getLibraryType(library) {
+        return LIBRARY_TYPES[library.CollectionType || 'mixed'];
+    }
+
+    // X-Emby-Token is understood by both Jellyfin and Emby
+    async request(config, path, params = {}) {
+        try {
+            const response = await this.http.get(`${this.getServerUrl(config)}${path}`, {
+                params,
+                headers: { 'X-Emby-Token': config.apiKey },
+                cache: false
+            });
+            return response.data;
+        } catch (error) {
+            if (error.response && error.response.status === 401) {
+                throw new Error('Invalid Jellyfin API key');
+            }
+            throw new Error(`Jellyfin request ${path} failed: ${error.message}`);
+        }
+    }
+
+    // The configured user by name, otherwise the first enabled administrator
+    // (API keys act as the server, not as a user)
+    async getUserId(config) {
+        const users = (await this.request(config, '/Users')).filter(user => !(user.Policy && user.Policy.IsDisabled));
+        const wanted = String(config.user || '').trim().toLowerCase();
+
+        const user = wanted ?
+            users.find(candidate => String(candidate.Name).toLowerCase() === wanted) :
+            users.find(candidate => candidate.Policy && candidate.Policy.IsAdministrator) || users[0];
+        if (!user) {
+            throw new Error(wanted ? `Jellyfin user ${config.user} not found` : 'No Jellyfin user found');
+        }
+        return user.Id;
+    }
+
+    // The user's video libraries, cached for a few minutes; concurrent loads share a request
+    getLibraries(config) {
+        const keyHash = crypto.createHash('sha256').update(String(config.apiKey)).digest('hex');
+        const key = `${this.getServerUrl(config)}|${keyHash}|${config.user || ''}`;
+        const cached = this.libraries.get(key);
+        if (cached && Date.now() - cached.fetchedAt < LIBRARIES_TTL_MS) {
+            return Promise.resolve(cached);
+        }
+        if (this.pendingLibraries.has(key)) {
+            return this.pendingLibraries.get(key);
+        }
+
+        const load = this.getUserId(config).then(async userId => {
+            const data = await this.request(config, `/Users/${userId}/Views`);
+            const libraries = data.Items.filter(library => LIBRARY_TYPES[library.CollectionType || 'mixed']);
+            const entry = { userId, libraries, fetchedAt: Date.now() };
+            this.rememberLibraries(key, entry);
+            return entry;
+        });
+
+        this.pendingLibraries.set(key, load);
+        return load.finally(() => this.pendingLibraries.delete(key));
+    }
+
+    // Expired entries are dropped, then the oldest past MAX_LIBRARY_ENTRIES
+    rememberLibraries(key, entry) {
+        this.libraries.forEach((cached, cachedKey) => {
+            if (Date.now() - cached.fetchedAt >= LIBRARIES_TTL_MS) this.libraries.delete(cachedKey);
+        });
+
+        this.libraries.delete(key);
+        if (this.libraries.size >= MAX_LIBRARY_ENTRIES) {
+            this.libraries.delete(this.libraries.keys().next().value);
+        }
+        this.libraries.set(key, entry);
+    }
+
+    async getItem(itemId, config, extraFields = null) {
+        if (!/^[\w-]+$/.test(itemId)) {
+            throw new Error(`Invalid Jellyfin item id ${itemId}`);
+        }
+
+        const { userId } = await this.getLibraries(config);
+        const data = await this.request(config, `/Users/${userId}/Items`, {
+            Ids: itemId,
+            Fields: [ITEM_FIELDS, extraFields].filter(Boolean).join(',')
+        });
+        const item = data.Items[0];
+        if (!item) {
+            throw new Error(`Jellyfin item ${itemId} not found`);
+        }
+        return item;
+    }
+
+    // Episodes without their own image use the show's
+    getImageUrl(item, config) {
+        const server = this.getServerUrl(config);
+        if (item.ImageTags && item.ImageTags.Primary) {
+            return `${server}/Items/${item.Id}/Images/Primary?maxWidth=600&tag=${item.ImageTags.Primary}`;
+        }
+        if (item.SeriesId && item.SeriesPrimaryImageTag) {
+            return `${server}/Items/${item.SeriesId}/Images/Primary?maxWidth=600&tag=${item.SeriesPrimaryImageTag}`;
+        }
+        return `${server}/Items/${item.Id}/Images/Primary?maxWidth=600`;
+    }
+
+    formatItem(item, config) {
+        const studio = (item.Studios || [])[0];
+        return {
+            id: item.Id,
+            title: this.sanitizeString(item.Name) || 'Senza titolo',
+            description: item.Overview || '',
+            thumbnail: this.getImageUrl(item, config),
+            channelTitle: item.SeriesName || (studio && studio.Name) || 'Jellyfin',
+            publishedAt: item.PremiereDate || item.DateCreated || new Date().toISOString(),
+            duration: item.RunTimeTicks ? this.formatDuration(Math.round(item.RunTimeTicks / TICKS_PER_SECOND)) : 'Video'
+        };
+    }
+}
+
+module.exports = JellyfinPlugin;
@@ -0,0 +1,572 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const PluginBase = require('./plugin-base');
+
+const execFileAsync = promisify(execFile);
+
+const PAGE_SIZE = 50;
+const DEFAULT_SCAN_MINUTES = 30;
+const MAX_DEPTH = 5;
+const PROBE_TIMEOUT_MS = 20000;
+const THUMBNAIL_TIMEOUT_MS = 30000;
+const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mkv', '.webm', '.mov', '.avi', '.wmv', '.ts', '.mpg', '.mpeg'];
+// Formats Stremio's web player can play without transcoding
+const WEB_READY_EXTENSIONS = ['.mp4', '.m4v', '.webm'];
+const COVER_NAMES = ['cover', 'poster', 'folder'];
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+
+function shortHash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex').substring(0, 16);
+}
+
+function isHidden(name) {
+    return name.startsWith('.');
+}
+
+function isVideoFile(name) {
+    return VIDEO_EXTENSIONS.includes(path.extname(name).toLowerCase());
+}
+
+// "My.Show_S01E02.720p" -> "My Show S01E02 720p"
+function cleanName(fileName) {
+    return path.basename(fileName, path.extname(fileName)).replace(/[._]+/g, ' ').trim();
+}
+
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+        size /= 1024;
+        unit++;
+    }
+    return `${size.toFixed(unit > 1 ? 1 : 0)} ${units[unit]}`;
+}
+
+// Video folders on the server. The directories come from the settings file
+// ("plugins": { "local": { "directories": [...] } }), never from the user
+// config, so a manifest URL can't expose other paths. Files in a directory
+// are movies, its subfolders series; files are served by /proxy.
+class LocalMediaPlugin extends PluginBase {
+    constructor() {
+        super();
+        // Id -> indexed file ('f...') or series ('d...')
+        this.index = new Map();
+        // Per configured directory: { movies: [ids], series: [ids] }
+        this.libraries = [];
+        // File path -> { mtimeMs, info } from ffprobe
+        this.probeCache = new Map();
+        this.pendingThumbnails = new Map();
+        this.thumbnailQueue = Promise.resolve();
+        this.tools = { ffprobe: false, ffmpeg: false };
+        // First scan, awaited by requests; later scans replace the index when done
+        this.ready = null;
+        this.rescanning = false;
+        this.scanTimer = null;
+    }
+
+    async init(context = {}) {
+        const settings = context.settings || {};
+        this.thumbnailDir = settings.thumbnailDir || path.join(os.tmpdir(), 'omg-rome-thumbnails');
+        await fs.promises.mkdir(this.thumbnailDir, { recursive: true });
+
+        this.tools = {
+            ffprobe: await this.isToolAvailable('ffprobe'),
+            ffmpeg: await this.isToolAvailable('ffmpeg')
+        };
+        if (!this.tools.ffprobe || !this.tools.ffmpeg) {
+            console.warn('Local media: ffprobe/ffmpeg not found, durations and thumbnails are disabled');
+        }
+
+        // The first scan may take a while on a NAS, so init doesn't wait for it;
+        // if it fails the index stays empty until the next scan
+        this.ready = this.scan().catch(error => {
+            console.error('Local media: scan failed:', error.message);
+        });
+        const scanMinutes = settings.scanMinutes || DEFAULT_SCAN_MINUTES;
+        this.scanTimer = setInterval(() => this.rescan(), scanMinutes * 60 * 1000);
+        this.scanTimer.unref();
+    }
+
+    async shutdown() {
+        clearInterval(this.scanTimer);
+        this.scanTimer = null;
+        this.index.clear();
+        this.probeCache.clear();
+    }
+
+    async healthCheck() {
+        const missing = this.getDirectories().filter(directory => !fs.existsSync(directory.path));
+        if (missing.length > 0) {
+            return { status: 'degraded', message: `Missing directories: ${missing.map(directory => directory.path).join(', ')}` };
+        }
+        if (!this.tools.ffprobe || !this.tools.ffmpeg) {
+            return { status: 'degraded', message: 'ffprobe/ffmpeg not available' };
+        }
+        return { status: 'ok' };
+    }
+
+    getName() {
+        return 'local';
+    }
+
+    getDisplayName() {
+        return 'Local Media';
+    }
+
+    getApiVersion() {
+        return '2.1';
+    }
+
+    getCapabilities() {
+        const { CHANNELS, META, STREAM } = PluginBase.CAPABILITIES;
+        return [CHANNELS, META, STREAM];
+    }
+
+    getConfigSchema() {
+        return {
+            sort: {
+                type: 'select',
+                options: [
+                    { value: 'recent', label: 'Aggiunti di recente' },
+                    { value: 'name', label: 'Nome' }
+                ],
+                default: 'recent',
+                label: 'Ordinamento'
+            }
+        };
+    }
+
+    // A movie catalog and a series catalog per configured directory
+    getCatalogs(config) {
+        return this.getDirectories().flatMap((directory, index) => [
+            {
+                id: `movies${index}`,
+                type: 'movie',
+                name: directory.name,
+                extra: [{ name: 'skip', isRequired: false }]
+            },
+            {
+                id: `series${index}`,
+                type: 'series',
+                name: `${directory.name} - Serie`,
+                extra: [{ name: 'skip', isRequired: false }]
+            }
+        ]);
+    }
+
+    getRoutes() {
+        // Public: Stremio loads posters without the admin token
+        return [{ method: 'get', path: '/thumbnails/:file', handler: 'handleThumbnail', auth: 'public' }];
+    }
+
+    async getChannels(config, filter = null) {
+        await this.ready;
+
+        const match = String(filter && filter.catalogId || '').match(/^(movies|series)(\d+)$/);
+        const library = match && this.libraries[parseInt(match[2])];
+        if (!library) {
+            return [];
+        }
+
+        const skip = parseInt(filter.skip) || 0;
+        const entries = library[match[1]].map(id => this.index.get(id)).filter(Boolean);
+        if (config.sort === 'name') {
+            entries.sort((a, b) => a.name.localeCompare(b.name));
+        } else {
+            entries.sort((a, b) => b.mtimeMs - a.mtimeMs);
+        }
+
+        return entries
+            .slice(skip, skip + PAGE_SIZE)
+            .map(entry => entry.type === 'series' ? this.formatSeriesItem(entry) : this.formatFileItem(entry));
+    }
+
+    async getVideoMeta(videoId, config) {
+        const entry = await this.getEntry(videoId);
+        if (entry.type === 'file') {
+            await this.probe(entry);
+            return this.formatFileItem(entry);
+        }
+
+        return {
+            ...this.formatSeriesItem(entry),
+            episodes: entry.episodes.map(id => this.index.get(id)).map(file => ({
+                id: file.id,
+                title: file.name,
+                description: '',
+                thumbnail: this.getThumbnailPath(file),
+                publishedAt: new Date(file.mtimeMs).toISOString(),
+                season: file.season,
+                episode: file.episode
+            }))
+        };
+    }
+
+    async getStreams(videoId, config) {
+        const entry = await this.getEntry(videoId);
+        if (entry.type !== 'file') {
+            return [];
+        }
+
+        const info = await this.probe(entry);
+        const details = [
+            info && info.height ? `${info.height}p` : null,
+            info && [info.videoCodec, info.audioCodec].filter(Boolean).join('/'),
+            formatSize(entry.size)
+        ].filter(Boolean);
+
+        return [{
+            name: 'Local',
+            title: `${path.basename(entry.path)}\n${details.join(' - ')}`,
+            proxy: 'file',
+            behaviorHints: {
+                notWebReady: !WEB_READY_EXTENSIONS.includes(path.extname(entry.path).toLowerCase()),
+                filename: path.basename(entry.path),
+                videoSize: entry.size
+            }
+        }];
+    }
+
+    // Only indexed files can be served, ids are never turned into paths
+    async getMediaFile(videoId, config) {
+        const entry = await this.getEntry(videoId);
+        if (entry.type !== 'file') {
+            throw new Error(`${videoId} is not a file`);
+        }
+        return entry.path;
+    }
+
+    async handleThumbnail(request) {
+        await this.ready;
+
+        const entry = this.index.get(String(request.params.file).replace(/\.jpg$/, ''));
+        const target = entry && entry.type === 'series' && !entry.cover ?
+            this.index.get(entry.episodes[0]) :
+            entry;
+
+        try {
+            if (target && target.cover) {
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': IMAGE_TYPES[path.extname(target.cover).toLowerCase()], 'Cache-Control': 'public, max-age=86400' },
+                    body: await fs.promises.readFile(target.cover)
+                };
+            }
+            if (target && this.tools.ffmpeg) {
+                const thumbnail = await this.getThumbnail(target);
+                return {
+                    status: 200,
+                    headers: { 'Content-Type': 'image/jpeg', 'Cache-Control': 'public, max-age=86400' },
+                    body: await fs.promises.readFile(thumbnail)
+                };
+            }
+        } catch (error) {
+            console.error(`Thumbnail failed for ${request.params.file}:`, error.message);
+        }
+
+        return { status: 404, body: { error: 'Thumbnail not available' } };
+    }
+
+    // Private helper methods
+
+    // settings.directories: paths, or { path, name } to choose the catalog name
+    getDirectories() {
+        return (this.settings.directories || []).map(directory => {
+            const directoryPath = path.resolve(typeof directory === 'string' ? directory : directory.path);
+            const name = typeof directory === 'object' && directory.name ? directory.name : path.basename(directoryPath);
+            return { path: directoryPath, name };
+        });
+    }
+
+    async getEntry(videoId) {
+        await this.ready;
+        const entry = this.index.get(videoId);
+        if (!entry) {
+            throw new Error(`Unknown local media ${videoId}`);
+        }
+        return entry;
+    }
+
+    async isToolAvailable(command) {
+        try {
+            await execFileAsync(command, ['-version'], { timeout: 5000 });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    async rescan() {
+        if (this.rescanning) return;
+        this.rescanning = true;
+
+        try {
+            await this.scan();
+        } catch (error) {
+            console.error('Local media: scan failed:', error.message);
+        } finally {
+            this.rescanning = false;
+        }
+    }
+
+    // Rebuilds the index, swapped in only when the whole scan is done.
+    // Symlinks are not followed, so nothing outside the directories is indexed.
+    async scan() {
+        const index = new Map();
+        const libraries = [];
+
+        for (const directory of this.getDirectories()) {
+            const library = { movies: [], series: [] };
+            libraries.push(library);
+
+            let entries = [];
+            try {
+                entries = await fs.promises.readdir(directory.path, { withFileTypes: true });
+            } catch (error) {
+                console.error(`Local media: cannot read ${directory.path}:`, error.message);
+                continue;
+            }
+
+            for (const dirent of entries) {
+                if (isHidden(dirent.name)) continue;
+                const fullPath = path.join(directory.path, dirent.name);
+
+                if (dirent.isFile() && isVideoFile(dirent.name)) {
+                    const file = await this.indexFile(fullPath);
+                    if (file) {
+                        index.set(file.id, file);
+                        library.movies.push(file.id);
+                    }
+                } else if (dirent.isDirectory()) {
+                    const series = await this.indexSeries(fullPath, index);
+                    if (series) {
+                        index.set(series.id, series);
+                        library.series.push(series.id);
+                    }
+                }
+            }
+        }
+
+        this.index = index;
+        this.libraries = libraries;
+        console.log(`Local media: indexed ${index.size} entries`);
+
+        // Durations show up in catalogs once probed
+        const files = Array.from(index.values()).filter(entry => entry.type === 'file');
+        const paths = new Set(files.map(file => file.path));
+        Array.from(this.probeCache.keys())
+            .filter(filePath => !paths.has(filePath))
+            .forEach(filePath => this.probeCache.delete(filePath));
+        this.probeAll(files);
+    }
+
+    async indexFile(filePath, extra = {}) {
+        try {
+            const stats = await fs.promises.stat(filePath);
+            return {
+                type: 'file',
+                id: `f${shortHash(filePath)}`,
+                path: filePath,
+                name: cleanName(filePath),
+                size: stats.size,
+                mtimeMs: stats.mtimeMs,
+                ...extra
+            };
+        } catch (error) {
+            console.error(`Local media: cannot read ${filePath}:`, error.message);
+            return null;
+        }
+    }
+
+    // A subfolder with its videos as episodes. Seasons come from "Season 2" /
+    // "Stagione 2" / "S02" folders or SxxEyy file names, episodes from SxxEyy
+    // or the file order.
+    async indexSeries(seriesPath, index) {
+        const filePaths = await this.listVideos(seriesPath, 0);
+        if (filePaths.length === 0) {
+            return null;
+        }
+
+        const id = `d${shortHash(seriesPath)}`;
+        const files = [];
+        for (const filePath of filePaths.sort()) {
+            const relative = path.relative(seriesPath, filePath);
+            const marker = path.basename(filePath).match(/s(\d{1,2})e(\d{1,3})/i) || path.basename(filePath).match(/(\d{1,2})x(\d{1,3})/);
+            const folder = path.dirname(relative).split(path.sep)
+                .map(segment => segment.match(/^(?:season|stagione|s)\s*(\d+)$/i))
+                .find(Boolean);
+
+            const file = await this.indexFile(filePath, {
+                seriesId: id,
+                season: folder ? parseInt(folder[1]) : marker ? parseInt(marker[1]) : 1,
+                episode: marker ? parseInt(marker[2]) : null
+            });
+            if (file) files.push(file);
+        }
+
+        // Episodes without a number follow the file order within their season
+        const counters = {};
+        files.forEach(file => {
+            counters[file.season] = (counters[file.season] || 0) + 1;
+            file.episode = file.episode || counters[file.season];
+            index.set(file.id, file);
+        });
+
+        let names = [];
+        try {
+            names = await fs.promises.readdir(seriesPath);
+        } catch (error) {
+            console.error(`Local media: cannot read ${seriesPath}:`, error.message);
+        }
+        const cover = names.find(name =>
+            COVER_NAMES.includes(path.basename(name, path.extname(name)).toLowerCase()) &&
+            IMAGE_TYPES[path.extname(name).toLowerCase()]);
+
+        return {
+            type: 'series',
+            id,
+            path: seriesPath,
+            name: path.basename(seriesPath),
+            cover: cover ? path.join(seriesPath, cover) : null,
+            mtimeMs: Math.max(...files.map(file => file.mtimeMs)),
+            episodes: files.map(file => file.id)
+        };
+    }
+
+    async listVideos(directoryPath, depth) {
+        if (depth > MAX_DEPTH) return [];
+
+        let entries = [];
+        try {
+            entries = await fs.promises.readdir(directoryPath, { withFileTypes: true });
+        } catch (error) {
+            console.error(`Local media: cannot read ${directoryPath}:`, error.message);
+            return [];
+        }
+
+        const files = [];
+        for (const dirent of entries) {
+            if (isHidden(dirent.name)) continue;
+            const fullPath = path.join(directoryPath, dirent.name);
+            if (dirent.isFile() && isVideoFile(dirent.name)) {
+                files.push(fullPath);
+            } else if (dirent.isDirectory()) {
+                files.push(...await this.listVideos(fullPath, depth + 1));
+            }
+        }
+        return files;
+    }
+
+    // One ffprobe at a time in the background
+    async probeAll(files) {
+        for (const file of files) {
+            await this.probe(file);
+        }
+    }
+
+    // Duration, resolution and codecs, cached until the file changes
+    async probe(file) {
+        if (!this.tools.ffprobe) return null;
+
+        const cached = this.probeCache.get(file.path);
+        if (cached && cached.mtimeMs === file.mtimeMs) {
+            return cached.info;
+        }
+
+        let info = null;
+        try {
+            const { stdout } = await execFileAsync('ffprobe', [
+                '-v', 'error',
+                '-print_format', 'json',
+                '-show_format',
+                '-show_streams',
+                file.path
+            ], { timeout: PROBE_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 });
+
+            const data = JSON.parse(stdout);
+            const streams = data.streams || [];
+            const video = streams.find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+            const audio = streams.find(stream => stream.codec_type === 'audio');
+            info = {
+                duration: Math.round(parseFloat(data.format && data.format.duration) || 0),
+                width: video ? video.width : null,
+                height: video ? video.height : null,
+                videoCodec: video ? video.codec_name : null,
+                audioCodec: audio ? audio.codec_name : null
+            };
+        } catch (error) {
+            console.error(`Local media: ffprobe failed for ${file.path}:`, error.message);
+        }
+
+        this.probeCache.set(file.path, { mtimeMs: file.mtimeMs, info });
+        return info;
+    }
+
+    // JPEG frame at 10% of the video, cached on disk per file version.
+    // ffmpeg runs one at a time, concurrent requests share the same job.
+    getThumbnail(file) {
+        const output = path.join(this.thumbnailDir, `${file.id}-${Math.round(file.mtimeMs)}.jpg`);
+        if (this.pendingThumbnails.has(output)) {
+            return this.pendingThumbnails.get(output);
+        }
+
+        const job = this.thumbnailQueue.then(async () => {
+            if (fs.existsSync(output)) return output;
+
+            const info = await this.probe(file);
+            const position = info && info.duration ? Math.floor(info.duration * 0.1) : 0;
+            await execFileAsync('ffmpeg', [
+                '-v', 'error',
+                '-ss', String(position),
+                '-i', file.path,
+                '-frames:v', '1',
+                '-vf', 'scale=480:-2',
+                '-y', output
+            ], { timeout: THUMBNAIL_TIMEOUT_MS });
+            return output;
+        });
+
+        this.thumbnailQueue = job.catch(() => {});
+        this.pendingThumbnails.set(output, job);
+        return job.finally(() => this.pendingThumbnails.delete(output));
+    }
+
+    getThumbnailPath(entry) {
+        const hasImage = entry.type === 'series' ? entry.cover || this.tools.ffmpeg : this.tools.ffmpeg;
+        return hasImage ? `/plugins/${this.getName()}/thumbnails/${entry.id}.jpg` : null;
+    }
+
+    formatFileItem(file) {
+        const cached = this.probeCache.get(file.path);
+        const duration = cached && cached.info && cached.info.duration;
+
+        return {
+            id: file.id,
+            title: this.sanitizeString(file.name),
+            description: path.basename(file.path),
+            thumbnail: this.getThumbnailPath(file),
+            channelTitle: path.basename(path.dirname(file.path)),
+            publishedAt: new Date(file.mtimeMs).toISOString(),
+            duration: duration ? this.formatDuration(duration) : 'Video'
+        };
+    }
+
+    formatSeriesItem(series) {
+        return {
+            id: series.id,
+            title: this.sanitizeString(series.name),
+            description: `${series.episodes.length} episodi`,
+            thumbnail: this.getThumbnailPath(series),
+            channelTitle: path.basename(path.dirname(series.path)),
+            publishedAt: new Date(series.mtimeMs).toISOString(),
+            duration: `${series.episodes.length} episodi`
+        };
+    }
+}
+
+module.exports = LocalMediaPlugin;
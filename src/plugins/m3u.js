@@ -0,0 +1,279 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const PluginBase = require('./plugin-base');
+
+const PAGE_SIZE = 100;
+const DEFAULT_REFRESH_MINUTES = 60;
+const MAX_PLAYLIST_BYTES = 20 * 1024 * 1024;
+// Parsed playlists kept in memory, the least recently used go first
+const MAX_PLAYLISTS = 50;
+const NO_GROUP = 'Senza gruppo';
+
+function shortHash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex').substring(0, 12);
+}
+
+// key="value" attributes of an #EXTINF line
+function parseAttributes(line) {
+    const attributes = {};
+    const pattern = /([\w-]+)="([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+        attributes[match[1].toLowerCase()] = match[2];
+    }
+    return attributes;
+}
+
+// IPTV channels from M3U/M3U8 playlists, one tv catalog per group-title.
+// Users list playlist URLs, the settings file can add playlists (URLs or
+// server files) for everyone: "plugins": { "m3u": { "playlists": [...] } }.
+// Channel ids are "<playlist hash>.<channel hash>".
+class M3UPlugin extends PluginBase {
+    constructor() {
+        super();
+        // Playlist source -> { channels, fetchedAt }
+        this.playlists = new Map();
+        this.pendingLoads = new Map();
+    }
+
+    async shutdown() {
+        this.playlists.clear();
+    }
+
+    getName() {
+        return 'm3u';
+    }
+
+    getDisplayName() {
+        return 'IPTV (M3U)';
+    }
+
+    getApiVersion() {
+        return '2.1';
+    }
+
+    getCapabilities() {
+        const { LIVE, META, STREAM } = PluginBase.CAPABILITIES;
+        return [LIVE, META, STREAM];
+    }
+
+    getConfigSchema() {
+        return {
+            playlists: {
+                type: 'array',
+                items: 'url',
+                label: 'Playlist M3U',
+                description: 'URL di playlist M3U/M3U8'
+            }
+        };
+    }
+
+    // Groups of every playlist, so the manifest waits for the playlists
+    async getCatalogs(config) {
+        const playlists = await this.loadPlaylists(config);
+        const groups = new Set();
+        playlists.forEach(({ channels }) => channels.forEach(channel => groups.add(channel.group)));
+
+        return Array.from(groups).map(group => ({
+            id: `group${shortHash(group)}`,
+            type: 'tv',
+            name: group,
+            extra: [{ name: 'skip', isRequired: false }]
+        }));
+    }
+
+    async getChannels(config, filter = null) {
+        const catalogId = String(filter && filter.catalogId || '');
+        const skip = parseInt(filter && filter.skip) || 0;
+        const playlists = await this.loadPlaylists(config);
+
+        return playlists
+            .flatMap(({ channels }) => channels)
+            .filter(channel => `group${shortHash(channel.group)}` === catalogId)
+            .slice(skip, skip + PAGE_SIZE)
+            .map(channel => this.formatChannelItem(channel));
+    }
+
+    async getVideoMeta(videoId, config) {
+        return this.formatChannelItem(await this.findChannel(videoId, config));
+    }
+
+    // Direct stream; headers required by the provider (#EXTVLCOPT / #EXTHTTP)
+    // are sent by Stremio's streaming server through proxyHeaders
+    async getStreams(videoId, config) {
+        const channel = await this.findChannel(videoId, config);
+        const stream = { name: 'IPTV', title: channel.name, url: channel.url };
+
+        if (Object.keys(channel.headers).length > 0) {
+            stream.behaviorHints = {
+                notWebReady: true,
+                proxyHeaders: { request: channel.headers }
+            };
+        }
+        return [stream];
+    }
+
+    // Private helper methods
+    getSources(config) {
+        return Array.from(new Set([...(this.settings.playlists || []), ...(config.playlists || [])]));
+    }
+
+    // Playlists that fail to load are skipped, the others still show up
+    async loadPlaylists(config) {
+        const sources = this.getSources(config);
+        const results = await Promise.allSettled(sources.map(source => this.getPlaylist(source)));
+
+        return results
+            .map((result, index) => {
+                if (result.status === 'fulfilled') return result.value;
+                console.error(`Error loading playlist ${sources[index]}:`, result.reason.message);
+                return null;
+            })
+            .filter(Boolean);
+    }
+
+    // Only configured playlists can be reached through an id
+    async findChannel(videoId, config) {
+        const [playlistKey] = videoId.split('.');
+        const source = this.getSources(config).find(candidate => shortHash(candidate) === playlistKey);
+        if (!source) {
+            throw new Error(`Unknown playlist for channel ${videoId}`);
+        }
+
+        const playlist = await this.getPlaylist(source);
+        const channel = playlist.channels.find(candidate => candidate.id === videoId);
+        if (!channel) {
+            throw new Error(`Channel ${videoId} not found`);
+        }
+        return channel;
+    }
+
+    // Cached for settings.refreshMinutes, concurrent loads share a request
+    getPlaylist(source) {
+        const cached = this.playlists.get(source);
+        if (cached && Date.now() - cached.fetchedAt < this.getRefreshMs()) {
+            this.remember(source, cached);
+            return Promise.resolve(cached);
+        }
+        if (this.pendingLoads.has(source)) {
+            return this.pendingLoads.get(source);
+        }
+
+        const load = this.readPlaylist(source).then(content => {
+            const playlist = { channels: this.parsePlaylist(content, source), fetchedAt: Date.now() };
+            this.remember(source, playlist);
+            return playlist;
+        });
+
+        this.pendingLoads.set(source, load);
+        return load.finally(() => this.pendingLoads.delete(source));
+    }
+
+    getRefreshMs() {
+        return (this.settings.refreshMinutes || DEFAULT_REFRESH_MINUTES) * 60 * 1000;
+    }
+
+    // Expired playlists are dropped, then the least recently used past MAX_PLAYLISTS
+    remember(source, playlist) {
+        const now = Date.now();
+        const refreshMs = this.getRefreshMs();
+        this.playlists.forEach((entry, key) => {
+            if (now - entry.fetchedAt >= refreshMs) this.playlists.delete(key);
+        });
+
+        this.playlists.delete(source);
+        if (this.playlists.size >= MAX_PLAYLISTS) {
+            this.playlists.delete(this.playlists.keys().next().value);
+        }
+        this.playlists.set(source, playlist);
+    }
+
+    // Server files only come from the settings file, user playlists must be http(s)
+    async readPlaylist(source) {
+        if (/^https?:\/\//i.test(source)) {
+            const response = await this.http.get(source, {
+                responseType: 'text',
+                cache: false,
+                maxContentLength: MAX_PLAYLIST_BYTES
+            });
+            return response.data;
+        }
+
+        if (!(this.settings.playlists || []).includes(source)) {
+            throw new Error(`Unsupported playlist source ${source}`);
+        }
+        return fs.promises.readFile(path.resolve(source.replace(/^file:\/\//, '')), 'utf8');
+    }
+
+    parsePlaylist(content, source) {
+        const playlistKey = shortHash(source);
+        const channels = [];
+        let entry = null;
+        let group = null;
+        let headers = {};
+
+        String(content).split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line || line.startsWith('#EXTM3U')) return;
+
+            if (line.startsWith('#EXTINF:')) {
+                const attributes = parseAttributes(line);
+                // The name follows the first comma outside the attributes
+                const bare = line.replace(/([\w-]+)="[^"]*"/g, '');
+                const commaIndex = bare.indexOf(',');
+                entry = {
+                    name: (commaIndex !== -1 ? bare.substring(commaIndex + 1).trim() : '') || attributes['tvg-name'],
+                    logo: attributes['tvg-logo'] || null,
+                    group: attributes['group-title'] || null,
+                    tvgId: attributes['tvg-id'] || null
+                };
+                if (attributes['http-user-agent']) headers['User-Agent'] = attributes['http-user-agent'];
+                if (attributes['http-referrer']) headers.Referer = attributes['http-referrer'];
+            } else if (line.startsWith('#EXTGRP:')) {
+                group = line.substring('#EXTGRP:'.length).trim();
+            } else if (line.startsWith('#EXTVLCOPT:')) {
+                const [option, ...value] = line.substring('#EXTVLCOPT:'.length).split('=');
+                if (option === 'http-user-agent') headers['User-Agent'] = value.join('=');
+                if (option === 'http-referrer') headers.Referer = value.join('=');
+            } else if (line.startsWith('#EXTHTTP:')) {
+                try {
+                    headers = { ...headers, ...JSON.parse(line.substring('#EXTHTTP:'.length)) };
+                } catch (error) {
+                    // Malformed header lines are ignored
+                }
+            } else if (!line.startsWith('#')) {
+                if (entry && /^(https?|rtmp|rtsp):\/\//i.test(line)) {
+                    channels.push({
+                        id: `${playlistKey}.${shortHash(`${entry.name}|${line}`)}`,
+                        name: this.sanitizeString(entry.name) || 'Canale',
+                        logo: entry.logo,
+                        group: this.sanitizeString(entry.group || group) || NO_GROUP,
+                        tvgId: entry.tvgId,
+                        url: line,
+                        headers
+                    });
+                }
+                entry = null;
+                group = null;
+                headers = {};
+            }
+        });
+
+        return channels;
+    }
+
+    formatChannelItem(channel) {
+        return {
+            id: channel.id,
+            title: channel.name,
+            description: channel.group,
+            thumbnail: channel.logo,
+            channelTitle: channel.group,
+            publishedAt: new Date().toISOString(),
+            duration: 'Live'
+        };
+    }
+}
+
+module.exports = M3UPlugin;
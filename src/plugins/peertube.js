@@ -0,0 +1,272 @@
+const PluginBase = require('./plugin-base');
+
+const PAGE_SIZE = 25;
+// PeerTube caps count at 100
+const MAX_COUNT = 100;
+// Video ids are "<instance host>~<video uuid>", hosts never contain "~"
+const ID_SEPARATOR = '~';
+
+// PeerTube through the REST API of the configured instances. Search queries
+// every instance and merges the results, streams are the instance's own files.
+class PeerTubePlugin extends PluginBase {
+    getName() {
+        return 'peertube';
+    }
+
+    getDisplayName() {
+        return 'PeerTube';
+    }
+
+    getApiVersion() {
+        return '2.1';
+    }
+
+    getCapabilities() {
+        const { SEARCH, CHANNELS, META, STREAM } = PluginBase.CAPABILITIES;
+        return [SEARCH, CHANNELS, META, STREAM];
+    }
+
+    getConfigSchema() {
+        return {
+            instances: {
+                type: 'array',
+                items: 'url',
+                required: true,
+                label: 'Istanze',
+                description: 'Istanze PeerTube in cui cercare, es. https://framatube.org'
+            },
+            channels: {
+                type: 'array',
+                items: 'string',
+                label: 'Canali Seguiti',
+                description: 'URL dei canali (https://istanza/c/nome) o nome@istanza'
+            },
+            accounts: {
+                type: 'array',
+                items: 'string',
+                label: 'Account Seguiti',
+                description: 'URL degli account (https://istanza/a/nome) o nome@istanza'
+            },
+            nsfw: {
+                type: 'boolean',
+                default: false,
+                label: 'Mostra contenuti sensibili'
+            }
+        };
+    }
+
+    getCatalogs(config) {
+        const catalogs = [{
+            id: 'search',
+            name: 'PeerTube - Ricerca',
+            extra: [
+                { name: 'search', isRequired: true, options: [''] },
+                { name: 'skip', isRequired: false }
+            ]
+        }];
+
+        if ((config.channels || []).length > 0 || (config.accounts || []).length > 0) {
+            catalogs.push({
+                id: 'channels',
+                name: 'PeerTube - Canali Seguiti',
+                extra: [{ name: 'skip', isRequired: false }]
+            });
+        }
+
+        return catalogs;
+    }
+
+    // Searches every instance in parallel. Results are interleaved by rank and
+    // federated copies of the same video are merged, keeping the origin instance.
+    async search(query, config, limit = PAGE_SIZE, skip = 0) {
+        const origins = this.getInstanceOrigins(config);
+        const results = await Promise.allSettled(origins.map(origin =>
+            this.fetchVideos(`${origin}/api/v1/search/videos`, {
+                search: query,
+                sort: '-match',
+                nsfw: config.nsfw ? 'both' : 'false'
+            }, skip + limit).then(videos => videos.map(video => ({ origin, video })))
+        ));
+
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.error('PeerTube search failed:', result.reason.message));
+
+        const lists = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+        if (lists.length === 0 && origins.length > 0) {
+            throw new Error('PeerTube search failed on every instance');
+        }
+
+        const merged = new Map();
+        const longest = Math.max(0, ...lists.map(list => list.length));
+        for (let rank = 0; rank < longest; rank++) {
+            lists.forEach(list => {
+                const entry = list[rank];
+                if (!entry) return;
+                const existing = merged.get(entry.video.uuid);
+                if (!existing || (entry.video.isLocal && !existing.video.isLocal)) {
+                    merged.set(entry.video.uuid, entry);
+                }
+            });
+        }
+
+        return Array.from(merged.values())
+            .slice(skip, skip + limit)
+            .map(({ origin, video }) => this.formatVideoItem(video, origin));
+    }
+
+    async getChannels(config, filter = null) {
+        const skip = parseInt(filter && filter.skip) || 0;
+        const sources = [
+            ...(config.channels || []).map(value => this.parseSource(value, 'video-channels')),
+            ...(config.accounts || []).map(value => this.parseSource(value, 'accounts'))
+        ].filter(Boolean);
+
+        const results = await Promise.allSettled(sources.map(source =>
+            this.fetchVideos(`${source.origin}/api/v1/${source.type}/${encodeURIComponent(source.name)}/videos`, {
+                sort: '-publishedAt',
+                nsfw: config.nsfw ? 'both' : 'false'
+            }, skip + PAGE_SIZE).then(videos => videos.map(video => this.formatVideoItem(video, source.origin)))
+        ));
+
+        const allVideos = [];
+        results.forEach((result, index) => {
+            if (result.status === 'fulfilled') {
+                allVideos.push(...result.value);
+            } else {
+                console.error(`Error fetching PeerTube ${sources[index].type} ${sources[index].name}:`, result.reason.message);
+            }
+        });
+
+        // Newest first across channels
+        allVideos.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+        return allVideos.slice(skip, skip + PAGE_SIZE);
+    }
+
+    async getVideoMeta(videoId, config) {
+        const { origin, video } = await this.getVideo(videoId, config);
+        return this.formatVideoItem(video, origin);
+    }
+
+    // Web video files by resolution (best first), or the HLS playlists' files
+    // on instances that only transcode to HLS, then the HLS playlists
+    async getStreams(videoId, config) {
+        const { origin, video } = await this.getVideo(videoId, config);
+        const host = new URL(origin).host;
+        const playlists = (video.streamingPlaylists || []).filter(Boolean);
+
+        const webFiles = video.files || [];
+        const files = (webFiles.length > 0 ? webFiles : playlists.flatMap(playlist => playlist.files || []))
+            .filter(file => file.fileUrl && file.resolution && file.resolution.id > 0)
+            .sort((a, b) => b.resolution.id - a.resolution.id);
+
+        const streams = files.map(file => ({
+            name: 'PeerTube',
+            title: `${file.resolution.label} - ${host}`,
+            url: file.fileUrl
+        }));
+
+        playlists.filter(playlist => playlist.playlistUrl).forEach(playlist => {
+            streams.push({
+                name: 'PeerTube',
+                title: `HLS - ${host}`,
+                url: playlist.playlistUrl
+            });
+        });
+
+        if (streams.length === 0) {
+            throw new Error('No playable file for this video');
+        }
+        return streams;
+    }
+
+    isVideoSupported(url) {
+        return /\/(?:w|videos\/watch)\/[0-9A-Za-z-]+/.test(url);
+    }
+
+    extractVideoId(url) {
+        const match = url.match(/^(https?:\/\/[^/]+)\/(?:w|videos\/watch)\/([0-9A-Za-z-]+)/);
+        return match ? `${new URL(match[1]).host}${ID_SEPARATOR}${match[2]}` : null;
+    }
+
+    // Private helper methods
+    // The first `needed` videos of a list endpoint, paged with start since
+    // PeerTube caps count; results are merged across instances, so every
+    // page of the catalog needs the videos before it
+    async fetchVideos(url, params, needed) {
+        const videos = [];
+        while (videos.length < needed) {
+            const count = Math.min(MAX_COUNT, needed - videos.length);
+            const response = await this.http.get(url, { params: { ...params, start: videos.length, count } });
+            const page = response.data.data || [];
+            videos.push(...page);
+            if (page.length < count || videos.length >= response.data.total) break;
+        }
+        return videos;
+    }
+
+    getInstanceOrigins(config) {
+        return Array.from(new Set((config.instances || []).map(instance => new URL(instance).origin)));
+    }
+
+    // "https://host/c/name", "https://host/a/name" or "name@host"
+    parseSource(value, defaultType) {
+        try {
+            if (/^https?:\/\//.test(value)) {
+                const url = new URL(value);
+                const match = url.pathname.match(/^\/(c|a|video-channels|accounts)\/([^/]+)/);
+                if (!match) return null;
+                const type = ['c', 'video-channels'].includes(match[1]) ? 'video-channels' : 'accounts';
+                return { origin: url.origin, type, name: decodeURIComponent(match[2]) };
+            }
+
+            const [name, host] = value.trim().replace(/^@/, '').split('@');
+            if (!name || !host) return null;
+            return { origin: `https://${host}`, type: defaultType, name };
+        } catch (error) {
+            console.error(`Invalid PeerTube channel ${value}:`, error.message);
+            return null;
+        }
+    }
+
+    // Only configured instances and followed channel hosts are ever queried
+    getAllowedOrigins(config) {
+        const sources = [
+            ...(config.channels || []).map(value => this.parseSource(value, 'video-channels')),
+            ...(config.accounts || []).map(value => this.parseSource(value, 'accounts'))
+        ].filter(Boolean);
+        return new Set([...this.getInstanceOrigins(config), ...sources.map(source => source.origin)]);
+    }
+
+    async getVideo(videoId, config) {
+        const index = videoId.lastIndexOf(ID_SEPARATOR);
+        const host = videoId.substring(0, index);
+        const uuid = videoId.substring(index + 1);
+        const origin = Array.from(this.getAllowedOrigins(config)).find(candidate => new URL(candidate).host === host);
+
+        if (index === -1 || !origin) {
+            throw new Error(`Unknown PeerTube instance for video ${videoId}`);
+        }
+
+        const response = await this.http.get(`${origin}/api/v1/videos/${encodeURIComponent(uuid)}`);
+        return { origin, video: response.data };
+    }
+
+    formatVideoItem(video, origin) {
+        const imagePath = video.previewPath || video.thumbnailPath;
+        const channel = video.channel || {};
+        const account = video.account || {};
+
+        return {
+            id: `${new URL(origin).host}${ID_SEPARATOR}${video.uuid}`,
+            title: this.sanitizeString(video.name) || 'Untitled Video',
+            description: this.sanitizeString(video.description || video.truncatedDescription) || '',
+            thumbnail: imagePath ? new URL(imagePath, origin).toString() : null,
+            channelTitle: this.sanitizeString(channel.displayName || account.displayName) || 'Unknown Channel',
+            publishedAt: video.originallyPublishedAt || video.publishedAt || new Date().toISOString(),
+            duration: video.duration ? this.formatDuration(video.duration) : 'Video'
+        };
+    }
+}
+
+module.exports = PeerTubePlugin;
@@ -1,8 +1,29 @@
+const { warnDeprecated } = require('../plugin-api');
+const { validateConfig: validateConfigSchema } = require('../config-schema');
+const { HttpClient } = require('../http-client');
+
+// Capability -> methods the gateway calls for it, implementing one is enough.
+// live marks catalogs of live channels (tv type) served through getChannels,
+// so it has no method of its own.
+const CAPABILITY_METHODS = {
+    search: ['search'],
+    channels: ['getChannels'],
+    meta: ['getVideoMeta'],
+    stream: ['getStreams', 'getVideoUrl'],
+    subtitles: ['getSubtitles'],
+    live: []
+};
+
+// Per-instance HTTP clients, created on first use of plugin.http
+const httpClients = new WeakMap();
+
 class PluginBase {
     constructor() {
         if (this.constructor === PluginBase) {
             throw new Error('Cannot instantiate abstract class PluginBase');
         }
+        // This plugin's section of the server settings file, set before init()
+        this.settings = {};
     }
 
     // Plugin identification
@@ -14,6 +35,12 @@ class PluginBase {
         throw new Error('getDisplayName() must be implemented');
     }
 
+    // Plugin API version this plugin targets (see src/plugin-api.js).
+    // Plugins that don't declare one are treated as 1.x and shimmed.
+    getApiVersion() {
+        return '1.0';
+    }
+
     // Configuration schema for frontend
     getConfigSchema() {
         throw new Error('getConfigSchema() must be implemented');
@@ -24,24 +51,109 @@ class PluginBase {
         throw new Error('getCatalogs() must be implemented');
     }
 
-    // Search functionality
-    async search(query, config, limit = 25) {
-        throw new Error('search() must be implemented');
+    // Capabilities this plugin supports (see PluginBase.CAPABILITIES).
+    // When not overridden they are inferred from the implemented methods.
+    getCapabilities() {
+        return Object.keys(CAPABILITY_METHODS).filter(capability =>
+            CAPABILITY_METHODS[capability].some(method => this.implements(method)));
+    }
+
+    supports(capability) {
+        const methods = CAPABILITY_METHODS[capability] || [];
+        return this.getCapabilities().includes(capability) &&
+            (methods.length === 0 || methods.some(method => this.implements(method)));
+    }
+
+    implements(method) {
+        return typeof this[method] === 'function' && this[method] !== PluginBase.prototype[method];
+    }
+
+    // Search functionality (capability: search). skip is the number of results
+    // Stremio already has, when the search catalog declares a skip extra
+    async search(query, config, limit = 25, skip = 0) {
+        throw new Error(`${this.getName()} does not support search`);
     }
 
-    // Get content from followed channels/categories
+    // Get content from followed channels/categories (capability: channels).
+    // filter holds the catalog id and the parsed Stremio extra (skip, genre...)
     async getChannels(config, filter = null) {
-        throw new Error('getChannels() must be implemented');
+        throw new Error(`${this.getName()} does not support channel feeds`);
     }
 
-    // Get detailed video metadata
+    // Get detailed video metadata (capability: meta)
     async getVideoMeta(videoId, config) {
-        throw new Error('getVideoMeta() must be implemented');
+        throw new Error(`${this.getName()} does not support metadata`);
     }
 
-    // Get video URL for streaming
+    // Get video URL for streaming (capability: stream), played through /proxy
     async getVideoUrl(videoId, config) {
-        throw new Error('getVideoUrl() must be implemented');
+        throw new Error(`${this.getName()} does not support streaming`);
+    }
+
+    // Streams offered for a video (capability: stream). Each stream has a
+    // title, an optional quality tag and behaviorHints, plus either a direct
+    // url (or ytId / externalUrl) or proxy: 'fast' | 'best' to play
+    // getVideoUrl() through /proxy, or proxy: 'file' to serve getMediaFile().
+    // Without it the gateway offers fast and best.
+    async getStreams(videoId, config) {
+        throw new Error(`${this.getName()} does not support stream lists`);
+    }
+
+    // Absolute path of a file on this server, served by /proxy with Range support
+    async getMediaFile(videoId, config) {
+        throw new Error(`${this.getName()} does not serve local files`);
+    }
+
+    // Get Stremio subtitles [{ id, url, lang }] (capability: subtitles)
+    async getSubtitles(videoId, config) {
+        throw new Error(`${this.getName()} does not support subtitles`);
+    }
+
+    // Lifecycle: called once at startup (and before a hot-reloaded instance goes live).
+    // context.settings is this plugin's section of the server settings file.
+    // Throwing marks the plugin unavailable instead of stopping the gateway.
+    async init(context) {
+    }
+
+    // Release resources on SIGTERM or when replaced by a hot reload
+    async shutdown() {
+    }
+
+    // Called from /health, may return { status: 'ok' | 'degraded', message }
+    async healthCheck() {
+        return { status: 'ok' };
+    }
+
+    // Custom HTTP routes, mounted under /plugins/<name>/:
+    //   { method: 'get', path: '/callback', handler: 'handleCallback', auth: 'admin' | 'public' }
+    // Routes need admin access unless auth is 'public'. The handler method gets
+    // { method, path, params, query, body, headers, baseUrl } and returns
+    // { status, headers, body }, an object body is sent as JSON.
+    getRoutes() {
+        return [];
+    }
+
+    // Calls the handler of a declared route, other methods can't be reached
+    async handleRoute(handler, request) {
+        const declared = this.getRoutes().some(route => route.handler === handler);
+        if (!declared || typeof this[handler] !== 'function') {
+            throw new Error(`${this.getName()} has no route handler ${handler}`);
+        }
+        return this[handler](request);
+    }
+
+    // Managed HTTP client: rate limit, retries on 429/5xx, timeouts, Cache-Control
+    // caching and redacted logging. Use this.http.get() instead of axios.
+    get http() {
+        if (!httpClients.has(this)) {
+            httpClients.set(this, new HttpClient(this.getName(), this.getHttpOptions()));
+        }
+        return httpClients.get(this);
+    }
+
+    // Overrides for this.http, e.g. { rateLimit: { requests: 2, intervalMs: 1000 }, retries: 3 }
+    getHttpOptions() {
+        return {};
     }
 
     // Check if a URL is supported by this plugin
@@ -73,19 +185,18 @@ class PluginBase {
     }
 
     validateConfig(config) {
-        const schema = this.getConfigSchema();
-        const errors = [];
-
-        for (const [key, field] of Object.entries(schema)) {
-            const value = config[key];
-
-            if (field.required && (!value || value === '')) {
-                errors.push(`${key} is required`);
-            }
-        }
-
-        return errors;
+        warnDeprecated(this.getName(), 'validateConfig');
+        return validateConfigSchema(this.getConfigSchema(), config);
     }
 }
 
+PluginBase.CAPABILITIES = Object.freeze({
+    SEARCH: 'search',
+    CHANNELS: 'channels',
+    META: 'meta',
+    STREAM: 'stream',
+    SUBTITLES: 'subtitles',
+    LIVE: 'live'
+});
+
 module.exports = PluginBase;
\ No newline at end of file
@@ -0,0 +1,418 @@
+const crypto = require('crypto');
+const { XMLParser } = require('fast-xml-parser');
+const PluginBase = require('./plugin-base');
+
+const PAGE_SIZE = 25;
+const DEFAULT_POLL_MINUTES = 15;
+// Feeds nobody asked for in this long are dropped from the cache and polling
+const FEED_IDLE_MS = 24 * 60 * 60 * 1000;
+const MAX_FEED_BYTES = 10 * 1024 * 1024;
+const MEDIA_EXTENSIONS = /\.(mp4|m4v|mov|webm|mkv|m3u8|mp3|m4a|aac|ogg|opus)(\?|$)/i;
+const ALWAYS_ARRAY = ['item', 'entry', 'link', 'enclosure', 'media:content', 'media:thumbnail', 'media:group'];
+
+const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    htmlEntities: true,
+    isArray: name => ALWAYS_ARRAY.includes(name)
+});
+
+// Text of an XML node, which may be a string, a number or { '#text': ... }
+function text(node) {
+    if (node === undefined || node === null) return '';
+    if (typeof node === 'object') return text(node['#text']);
+    return String(node).trim();
+}
+
+function shortHash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex').substring(0, 12);
+}
+
+// "1:02:03", "62:03" or seconds
+function parseDuration(value) {
+    const parts = text(value).split(':').map(part => parseInt(part));
+    if (parts.length === 0 || parts.some(isNaN)) return 0;
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// RSS 2.0, Atom and Media RSS feeds with video (or audio) enclosures. Feeds are
+// catalogs of episodes, or series whose episodes are the feed items. Video ids
+// are "<feed hash>.<episode hash>", series ids the feed hash alone.
+class PodcastPlugin extends PluginBase {
+    constructor() {
+        super();
+        // Feed URL -> { feed, etag, lastModified, fetchedAt, usedAt }
+        this.feeds = new Map();
+        this.pendingFetches = new Map();
+        this.pollIntervalMs = DEFAULT_POLL_MINUTES * 60 * 1000;
+        this.pollTimer = null;
+        this.polling = false;
+    }
+
+    // Known feeds are refreshed in the background with conditional requests
+    // (ETag / Last-Modified), every settings.pollMinutes minutes
+    async init(context = {}) {
+        const settings = context.settings || {};
+        this.pollIntervalMs = (settings.pollMinutes || DEFAULT_POLL_MINUTES) * 60 * 1000;
+        this.pollTimer = setInterval(() => this.pollFeeds(), this.pollIntervalMs);
+        this.pollTimer.unref();
+    }
+
+    async shutdown() {
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this.feeds.clear();
+    }
+
+    getName() {
+        return 'podcast';
+    }
+
+    getDisplayName() {
+        return 'Podcast / RSS';
+    }
+
+    getApiVersion() {
+        return '2.1';
+    }
+
+    getCapabilities() {
+        const { CHANNELS, META, STREAM } = PluginBase.CAPABILITIES;
+        return [CHANNELS, META, STREAM];
+    }
+
+    getConfigSchema() {
+        return {
+            feeds: {
+                type: 'array',
+                items: 'url',
+                required: true,
+                label: 'Feed',
+                description: 'URL di feed RSS, Atom o Media RSS'
+            },
+            display: {
+                type: 'select',
+                options: [
+                    { value: 'catalogs', label: 'Un catalogo per feed' },
+                    { value: 'series', label: 'Feed come serie con episodi' }
+                ],
+                default: 'catalogs',
+                label: 'Visualizzazione'
+            }
+        };
+    }
+
+    getCatalogs(config) {
+        const feeds = config.feeds || [];
+
+        if (config.display === 'series') {
+            return feeds.length > 0 ? [{ id: 'feeds', type: 'series', name: 'Podcast' }] : [];
+        }
+
+        return feeds.map((url, index) => ({
+            id: `feed${index}`,
+            name: this.getFeedName(url),
+            extra: [{ name: 'skip', isRequired: false }]
+        }));
+    }
+
+    async getChannels(config, filter = null) {
+        const feeds = config.feeds || [];
+        const catalogId = String(filter && filter.catalogId || '');
+        const skip = parseInt(filter && filter.skip) || 0;
+
+        if (catalogId === 'feeds') {
+            const results = await Promise.allSettled(feeds.map(url => this.getFeed(url)));
+            return results
+                .map((result, index) => {
+                    if (result.status === 'fulfilled') return this.formatFeedItem(result.value);
+                    console.error(`Error fetching feed ${feeds[index]}:`, result.reason.message);
+                    return null;
+                })
+                .filter(Boolean)
+                .slice(skip, skip + PAGE_SIZE);
+        }
+
+        const url = feeds[parseInt(catalogId.replace(/^feed/, ''))];
+        if (!url) {
+            return [];
+        }
+
+        const feed = await this.getFeed(url);
+        return feed.episodes
+            .slice(skip, skip + PAGE_SIZE)
+            .map(episode => this.formatEpisodeItem(episode, feed));
+    }
+
+    async getVideoMeta(videoId, config) {
+        const { feed, episode } = await this.resolveVideoId(videoId, config);
+        if (episode) {
+            return this.formatEpisodeItem(episode, feed);
+        }
+
+        return {
+            ...this.formatFeedItem(feed),
+            episodes: feed.episodes.map(item => ({
+                id: item.id,
+                title: item.title,
+                description: item.description,
+                thumbnail: item.thumbnail || feed.image,
+                publishedAt: item.publishedAt,
+                season: item.season,
+                episode: item.episode
+            }))
+        };
+    }
+
+    // One stream per enclosure / media:content, highest resolution first
+    async getStreams(videoId, config) {
+        const { episode } = await this.resolveVideoId(videoId, config);
+        if (!episode) {
+            return [];
+        }
+
+        return episode.media.map(media => ({
+            name: 'Podcast',
+            title: [media.height ? `${media.height}p` : null, media.type || 'file']
+                .filter(Boolean)
+                .join(' - '),
+            url: media.url
+        }));
+    }
+
+    // Private helper methods
+    getFeedName(url) {
+        const cached = this.feeds.get(url);
+        if (cached && cached.feed.title) {
+            return cached.feed.title.substring(0, 60);
+        }
+
+        try {
+            const parsed = new URL(url);
+            return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/$/, '')}`.substring(0, 60);
+        } catch (error) {
+            return url;
+        }
+    }
+
+    // Only feeds listed in the config can be reached through an id
+    async resolveVideoId(videoId, config) {
+        const [feedKey, episodeKey] = videoId.split('.');
+        const url = (config.feeds || []).find(candidate => shortHash(candidate) === feedKey);
+        if (!url) {
+            throw new Error(`Unknown feed for video ${videoId}`);
+        }
+
+        const feed = await this.getFeed(url);
+        if (!episodeKey) {
+            return { feed, episode: null };
+        }
+
+        const episode = feed.episodes.find(item => item.id === videoId);
+        if (!episode) {
+            throw new Error(`Episode ${videoId} not found`);
+        }
+        return { feed, episode };
+    }
+
+    // Cached feed, refreshed first when the poller hasn't done it in time
+    async getFeed(url) {
+        const cached = this.feeds.get(url);
+        if (cached && Date.now() - cached.fetchedAt < this.pollIntervalMs) {
+            cached.usedAt = Date.now();
+            return cached.feed;
+        }
+
+        const entry = await this.fetchFeed(url);
+        entry.usedAt = Date.now();
+        return entry.feed;
+    }
+
+    // Conditional GET, a 304 keeps the parsed feed. Concurrent calls share a request.
+    fetchFeed(url) {
+        if (this.pendingFetches.has(url)) {
+            return this.pendingFetches.get(url);
+        }
+
+        const fetch = (async () => {
+            const cached = this.feeds.get(url);
+            const headers = {};
+            if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+            if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+            const response = await this.http.get(url, {
+                headers,
+                cache: false,
+                responseType: 'text',
+                maxContentLength: MAX_FEED_BYTES,
+                validateStatus: status => status === 200 || status === 304
+            });
+
+            if (response.status === 304 && cached) {
+                cached.fetchedAt = Date.now();
+                return cached;
+            }
+
+            const entry = {
+                feed: this.parseFeed(response.data, url),
+                etag: response.headers.etag || null,
+                lastModified: response.headers['last-modified'] || null,
+                fetchedAt: Date.now(),
+                usedAt: cached ? cached.usedAt : Date.now()
+            };
+            this.feeds.set(url, entry);
+            return entry;
+        })();
+
+        this.pendingFetches.set(url, fetch);
+        return fetch.finally(() => this.pendingFetches.delete(url));
+    }
+
+    async pollFeeds() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            for (const [url, entry] of Array.from(this.feeds.entries())) {
+                if (Date.now() - entry.usedAt > FEED_IDLE_MS) {
+                    this.feeds.delete(url);
+                    continue;
+                }
+                await this.fetchFeed(url).catch(error =>
+                    console.error(`Error refreshing feed ${url}:`, error.message));
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    parseFeed(xml, url) {
+        const document = parser.parse(xml);
+        const channel = document.rss ? document.rss.channel : document.feed;
+        if (!channel) {
+            throw new Error(`${url} is not an RSS or Atom feed`);
+        }
+
+        const feedKey = shortHash(url);
+        const image = (channel['itunes:image'] && channel['itunes:image']['@_href']) ||
+            (channel.image && text(channel.image.url)) ||
+            text(channel.logo) || text(channel.icon) || null;
+        const author = text(channel['itunes:author']) || text(channel.author && channel.author.name) ||
+            text(channel.managingEditor);
+
+        const episodes = (channel.item || channel.entry || [])
+            .map(item => this.parseEpisode(item, feedKey))
+            .filter(Boolean)
+            .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+
+        // Episode numbers count from the oldest when the feed has none
+        episodes.forEach((episode, index) => {
+            episode.season = episode.season || 1;
+            episode.episode = episode.episode || episodes.length - index;
+        });
+
+        return {
+            id: feedKey,
+            title: this.sanitizeString(text(channel.title)) || this.getFeedName(url),
+            description: this.cleanDescription(text(channel['itunes:summary']) || text(channel.description) || text(channel.subtitle)),
+            image,
+            author: this.sanitizeString(author),
+            episodes
+        };
+    }
+
+    parseEpisode(item, feedKey) {
+        const media = this.parseMedia(item);
+        if (media.length === 0) {
+            return null;
+        }
+
+        const links = item.link || [];
+        const link = links.map(entry => typeof entry === 'object' ? entry['@_href'] : text(entry)).find(Boolean);
+        const guid = text(item.guid) || text(item.id) || link || media[0].url;
+        const groups = item['media:group'] || [];
+        const thumbnails = [...(item['media:thumbnail'] || []), ...groups.flatMap(group => group['media:thumbnail'] || [])];
+        const date = new Date(text(item.pubDate) || text(item.published) || text(item.updated) || text(item['dc:date']));
+
+        return {
+            id: `${feedKey}.${shortHash(guid)}`,
+            title: this.sanitizeString(text(item.title)) || 'Untitled Episode',
+            description: this.cleanDescription(
+                text(item['itunes:summary']) || text(item.description) || text(item['content:encoded']) ||
+                text(item.summary) || text(item.content) ||
+                groups.map(group => text(group['media:description'])).find(Boolean)
+            ),
+            thumbnail: (item['itunes:image'] && item['itunes:image']['@_href']) ||
+                (thumbnails[0] && thumbnails[0]['@_url']) || null,
+            publishedAt: isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString(),
+            duration: parseDuration(item['itunes:duration']) || Math.round(media[0].duration) || 0,
+            season: parseInt(text(item['itunes:season'])) || null,
+            episode: parseInt(text(item['itunes:episode'])) || null,
+            media
+        };
+    }
+
+    // Playable files from enclosures, media:content (also inside media:group)
+    // and Atom enclosure links, best first
+    parseMedia(item) {
+        const groups = item['media:group'] || [];
+        const candidates = [
+            ...(item.enclosure || []).map(node => ({ node, url: node['@_url'] })),
+            ...[...(item['media:content'] || []), ...groups.flatMap(group => group['media:content'] || [])]
+                .map(node => ({ node, url: node['@_url'] })),
+            ...(item.link || [])
+                .filter(node => typeof node === 'object' && node['@_rel'] === 'enclosure')
+                .map(node => ({ node, url: node['@_href'] }))
+        ];
+
+        const seen = new Set();
+        return candidates
+            .filter(({ node, url }) => {
+                if (!url || seen.has(url)) return false;
+                seen.add(url);
+                const type = node['@_type'] || '';
+                const medium = node['@_medium'] || '';
+                return /^(video|audio)\//.test(type) || ['video', 'audio'].includes(medium) ||
+                    type === 'application/x-mpegURL' || MEDIA_EXTENSIONS.test(url);
+            })
+            .map(({ node, url }) => ({
+                url,
+                type: node['@_type'] || null,
+                height: parseInt(node['@_height']) || 0,
+                bitrate: parseFloat(node['@_bitrate']) || 0,
+                duration: parseFloat(node['@_duration']) || 0,
+                video: /^video\//.test(node['@_type'] || '') || node['@_medium'] === 'video'
+            }))
+            .sort((a, b) => (b.video - a.video) || (b.height - a.height) || (b.bitrate - a.bitrate));
+    }
+
+    cleanDescription(html) {
+        return this.sanitizeString((html || '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' '));
+    }
+
+    formatEpisodeItem(episode, feed) {
+        return {
+            id: episode.id,
+            title: episode.title,
+            description: episode.description,
+            thumbnail: episode.thumbnail || feed.image,
+            channelTitle: feed.title,
+            publishedAt: episode.publishedAt,
+            duration: episode.duration ? this.formatDuration(episode.duration) : 'Video'
+        };
+    }
+
+    formatFeedItem(feed) {
+        return {
+            id: feed.id,
+            title: feed.title,
+            description: feed.description,
+            thumbnail: feed.image,
+            channelTitle: feed.author || feed.title,
+            publishedAt: feed.episodes.length > 0 ? feed.episodes[0].publishedAt : new Date().toISOString(),
+            duration: `${feed.episodes.length} episodi`
+        };
+    }
+}
+
+module.exports = PodcastPlugin;
@@ -0,0 +1,303 @@
+const PluginBase = require('./plugin-base');
+
+const REDDIT_URL = 'https://www.reddit.com';
+const STREAMABLE_API_URL = 'https://api.streamable.com/videos';
+// Reddit answers 429 to generic clients
+const USER_AGENT = 'omg-rome/1.0 (Stremio addon gateway)';
+const LISTING_LIMIT = 100;
+const PAGE_SIZE = 25;
+const LISTING_TTL_MS = 5 * 60 * 1000;
+const MAX_POSTS = 2000;
+const DEFAULT_THUMBNAIL = 'https://www.redditstatic.com/icon.png';
+const YOUTUBE_PATTERN = /(?:youtube\.com\/(?:watch\?(?:.*&)?v=|shorts\/|embed\/|live\/)|youtu\.be\/)([\w-]{11})/i;
+const STREAMABLE_PATTERN = /streamable\.com\/(?:[eo]\/)?(\w+)/i;
+
+// Video posts of subreddits and multireddits from Reddit's public JSON
+// listings, one catalog each. v.redd.it videos (separate DASH audio and
+// video) are merged by the gateway through yt-dlp, Streamable links play
+// their MP4, YouTube links open in the YouTube plugin when it's configured.
+// Video ids are Reddit post ids.
+class RedditPlugin extends PluginBase {
+    constructor() {
+        super();
+        // Listing URL -> { posts, fetchedAt }
+        this.listings = new Map();
+        this.pendingListings = new Map();
+        // Post id -> post, so meta and streams of listed posts need no request
+        this.posts = new Map();
+    }
+
+    async shutdown() {
+        this.listings.clear();
+        this.posts.clear();
+    }
+
+    getName() {
+        return 'reddit';
+    }
+
+    getDisplayName() {
+        return 'Reddit';
+    }
+
+    getApiVersion() {
+        return '2.1';
+    }
+
+    getCapabilities() {
+        const { CHANNELS, META, STREAM } = PluginBase.CAPABILITIES;
+        return [CHANNELS, META, STREAM];
+    }
+
+    getConfigSchema() {
+        return {
+            subreddits: {
+                type: 'array',
+                items: 'string',
+                label: 'Subreddit',
+                description: 'Nomi (videos, r/videos) o URL dei subreddit'
+            },
+            multireddits: {
+                type: 'array',
+                items: 'string',
+                label: 'Multireddit',
+                description: 'URL dei multireddit (https://www.reddit.com/user/nome/m/multi)'
+            },
+            sort: {
+                type: 'select',
+                options: [
+                    { value: 'hot', label: 'Popolari' },
+                    { value: 'new', label: 'Nuovi' },
+                    { value: 'top', label: 'Più votati della settimana' }
+                ],
+                default: 'hot',
+                label: 'Ordinamento'
+            },
+            nsfw: {
+                type: 'boolean',
+                default: false,
+                label: 'Mostra contenuti NSFW'
+            }
+        };
+    }
+
+    getCatalogs(config) {
+        return this.getSources(config).map(source => ({
+            id: source.id,
+            name: `Reddit - ${source.name}`,
+            extra: [{ name: 'skip', isRequired: false }]
+        }));
+    }
+
+    // Video posts among the first LISTING_LIMIT posts of the listing
+    async getChannels(config, filter = null) {
+        const source = this.getSources(config).find(candidate => candidate.id === String(filter && filter.catalogId || ''));
+        if (!source) {
+            return [];
+        }
+
+        const skip = parseInt(filter && filter.skip) || 0;
+        const posts = await this.getListing(source, config.sort || 'hot');
+        return posts
+            .filter(post => config.nsfw || !post.over_18)
+            .slice(skip, skip + PAGE_SIZE)
+            .map(post => this.formatPostItem(post));
+    }
+
+    async getVideoMeta(videoId, config) {
+        return this.formatPostItem(await this.getAllowedPost(videoId, config));
+    }
+
+    async getVideoUrl(videoId, config) {
+        const post = await this.getAllowedPost(videoId, config);
+        const video = this.getPostVideo(post);
+
+        if (video.kind === 'youtube') return `https://www.youtube.com/watch?v=${video.youtubeId}`;
+        if (video.kind === 'streamable') return `https://streamable.com/${video.code}`;
+        return `${REDDIT_URL}${video.source.permalink}`;
+    }
+
+    async getStreams(videoId, config) {
+        const post = await this.getAllowedPost(videoId, config);
+        const video = this.getPostVideo(post);
+
+        // Only reached when the YouTube plugin isn't configured
+        if (video.kind === 'youtube') {
+            return [{ name: 'YouTube', title: 'YouTube', ytId: video.youtubeId }];
+        }
+
+        if (video.kind === 'streamable') {
+            try {
+                return await this.getStreamableStreams(video.code);
+            } catch (error) {
+                console.error(`Streamable ${video.code} failed:`, error.message);
+                return [{ name: 'Streamable', title: 'Migliore Qualità Disponibile - Richiede Merge', proxy: 'best' }];
+            }
+        }
+
+        // DASH audio and video are merged by yt-dlp; the HLS playlist
+        // already carries both for players that handle it
+        const streams = [{ name: 'Reddit', title: 'Migliore Qualità Disponibile - Richiede Merge', proxy: 'best' }];
+        if (video.redditVideo.hls_url) {
+            streams.push({ name: 'Reddit', title: `HLS${video.redditVideo.height ? ` ${video.redditVideo.height}p` : ''}`, url: video.redditVideo.hls_url });
+        }
+        return streams;
+    }
+
+    // Private helper methods
+    // "videos", "r/videos", ".../r/videos" and ".../user/name/m/multi"
+    getSources(config) {
+        const sources = [];
+
+        (config.subreddits || []).forEach(value => {
+            const match = String(value).trim().match(/^(?:(?:https?:\/\/)?(?:[\w-]+\.)?reddit\.com)?\/?(?:r\/)?(\w{2,21})\/?$/i);
+            if (match) {
+                sources.push({ id: `r.${match[1].toLowerCase()}`, name: `r/${match[1]}`, path: `/r/${match[1]}` });
+            }
+        });
+
+        (config.multireddits || []).forEach(value => {
+            const match = String(value).trim().match(/(?:^|\/)(?:user|u)\/([\w-]+)\/m\/(\w+)\/?$/i);
+            if (match) {
+                sources.push({
+                    id: `m.${match[1].toLowerCase()}.${match[2].toLowerCase()}`,
+                    name: `m/${match[2]}`,
+                    path: `/user/${match[1]}/m/${match[2]}`
+                });
+            }
+        });
+
+        const seen = new Set();
+        return sources.filter(source => !seen.has(source.id) && seen.add(source.id));
+    }
+
+    async fetchJson(url) {
+        const response = await this.http.get(url, { headers: { 'User-Agent': USER_AGENT } });
+        return response.data;
+    }
+
+    // Video posts of a listing, cached for a few minutes; concurrent loads share a request
+    getListing(source, sort) {
+        const url = `${REDDIT_URL}${source.path}/${sort}.json?limit=${LISTING_LIMIT}&raw_json=1${sort === 'top' ? '&t=week' : ''}`;
+        const cached = this.listings.get(url);
+        if (cached && Date.now() - cached.fetchedAt < LISTING_TTL_MS) {
+            return Promise.resolve(cached.posts);
+        }
+        if (this.pendingListings.has(url)) {
+            return this.pendingListings.get(url);
+        }
+
+        const load = this.fetchJson(url).then(data => {
+            const posts = data.data.children
+                .map(child => child.data)
+                .filter(post => this.getPostVideo(post));
+            posts.forEach(post => this.remember(post));
+            this.listings.set(url, { posts, fetchedAt: Date.now() });
+            return posts;
+        }).catch(error => {
+            throw new Error(`Reddit listing ${source.name} failed: ${error.message}`);
+        });
+
+        this.pendingListings.set(url, load);
+        return load.finally(() => this.pendingListings.delete(url));
+    }
+
+    async getPost(postId) {
+        if (!/^[a-z0-9]+$/i.test(postId)) {
+            throw new Error(`Invalid Reddit post id ${postId}`);
+        }
+        if (this.posts.has(postId)) {
+            return this.posts.get(postId);
+        }
+
+        const data = await this.fetchJson(`${REDDIT_URL}/by_id/t3_${postId}.json?raw_json=1`);
+        const child = data.data.children[0];
+        if (!child || !this.getPostVideo(child.data)) {
+            throw new Error(`Reddit post ${postId} is not a video post`);
+        }
+        this.remember(child.data);
+        return child.data;
+    }
+
+    // Posts reached by id follow the same NSFW setting as the listings
+    async getAllowedPost(postId, config = {}) {
+        const post = await this.getPost(postId);
+        if (post.over_18 && !config.nsfw) {
+            throw new Error(`Reddit post ${postId} is NSFW`);
+        }
+        return post;
+    }
+
+    remember(post) {
+        this.posts.delete(post.id);
+        if (this.posts.size >= MAX_POSTS) {
+            this.posts.delete(this.posts.keys().next().value);
+        }
+        this.posts.set(post.id, post);
+    }
+
+    // The video of a post (or of the post it crossposts), null for other posts
+    getPostVideo(post) {
+        const source = (post.crosspost_parent_list && post.crosspost_parent_list[0]) || post;
+        const media = source.secure_media || source.media;
+        if (media && media.reddit_video) {
+            return { kind: 'reddit', source, redditVideo: media.reddit_video };
+        }
+
+        const url = String(source.url_overridden_by_dest || source.url || '');
+        const youtube = url.match(YOUTUBE_PATTERN);
+        if (youtube) {
+            return { kind: 'youtube', source, youtubeId: youtube[1] };
+        }
+        const streamable = url.match(STREAMABLE_PATTERN);
+        if (streamable) {
+            return { kind: 'streamable', source, code: streamable[1] };
+        }
+        return null;
+    }
+
+    // Original and mobile MP4, tallest first
+    async getStreamableStreams(code) {
+        const response = await this.http.get(`${STREAMABLE_API_URL}/${encodeURIComponent(code)}`);
+        return Object.values(response.data.files || {})
+            .filter(file => file && file.url)
+            .sort((a, b) => (b.height || 0) - (a.height || 0))
+            .map(file => ({
+                name: 'Streamable',
+                title: `MP4${file.height ? ` ${file.height}p` : ''}`,
+                url: file.url.startsWith('//') ? `https:${file.url}` : file.url
+            }));
+    }
+
+    getThumbnail(post, video) {
+        const preview = post.preview && post.preview.images && post.preview.images[0];
+        if (preview && preview.source && preview.source.url) {
+            return preview.source.url;
+        }
+        if (video.kind === 'youtube') {
+            return `https://i.ytimg.com/vi/${video.youtubeId}/hqdefault.jpg`;
+        }
+        return /^https?:\/\//.test(post.thumbnail || '') ? post.thumbnail : DEFAULT_THUMBNAIL;
+    }
+
+    formatPostItem(post) {
+        const video = this.getPostVideo(post);
+        const item = {
+            id: post.id,
+            title: this.sanitizeString(post.title) || 'Post senza titolo',
+            description: [post.selftext, `u/${post.author} - ${post.score} punti - ${post.num_comments} commenti`]
+                .filter(Boolean).join('\n\n'),
+            thumbnail: this.getThumbnail(post, video),
+            channelTitle: `r/${post.subreddit}`,
+            publishedAt: new Date(post.created_utc * 1000).toISOString(),
+            duration: video.redditVideo && video.redditVideo.duration ? this.formatDuration(video.redditVideo.duration) : 'Video'
+        };
+
+        if (video.kind === 'youtube') {
+            item.linked = { plugin: 'youtube', id: video.youtubeId };
+        }
+        return item;
+    }
+}
+
+module.exports = RedditPlugin;
@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const PluginBase = require('./plugin-base');
+
+const MANIFEST_TTL_MS = 60 * 60 * 1000;
+const MAX_PREVIEWS = 2000;
+// Stremio meta fields passed through as they are; ids inside links,
+// behaviorHints and videos belong to the wrapped addon and are left out
+const META_FIELDS = [
+    'poster', 'posterShape', 'background', 'logo', 'genres', 'genre', 'releaseInfo', 'year',
+    'released', 'runtime', 'imdbRating', 'director', 'cast', 'writer', 'language', 'country',
+    'awards', 'website', 'trailers'
+];
+
+function shortHash(value) {
+    return crypto.createHash('sha1').update(value).digest('hex').substring(0, 12);
+}
+
+function pick(object, fields) {
+    return Object.fromEntries(fields.filter(field => object[field] !== undefined).map(field => [field, object[field]]));
+}
+
+// Other Stremio addons behind the gateway: their catalogs, metas and streams
+// are proxied under this plugin's prefix. Addons come from the user config
+// and from the settings file ("plugins": { "stremio": { "addons": [...] } }),
+// which can also list addons only the server reaches. Ids are
+// "<addon hash>.<type>.<addon id>"; streams are collected from every addon
+// serving that type and id.
+class StremioAddonPlugin extends PluginBase {
+    constructor() {
+        super();
+        // Manifest URL -> { manifest, fetchedAt }
+        this.manifests = new Map();
+        this.pendingManifests = new Map();
+        // Catalog metas by id, for addons without a meta resource
+        this.previews = new Map();
+    }
+
+    async shutdown() {
+        this.manifests.clear();
+        this.previews.clear();
+    }
+
+    getName() {
+        return 'stremio';
+    }
+
+    getDisplayName() {
+        return 'Addon Stremio';
+    }
+
+    getApiVersion() {
+        return '2.1';
+    }
+
+    getCapabilities() {
+        const { CHANNELS, META, STREAM } = PluginBase.CAPABILITIES;
+        return [CHANNELS, META, STREAM];
+    }
+
+    getConfigSchema() {
+        return {
+            addons: {
+                type: 'array',
+                items: 'url',
+                label: 'Addon',
+                description: 'URL del manifest.json degli addon Stremio (anche stremio://)'
+            },
+            hiddenCatalogs: {
+                type: 'array',
+                items: 'string',
+                label: 'Cataloghi nascosti',
+                description: 'Nomi dei cataloghi da non mostrare'
+            }
+        };
+    }
+
+    // Catalogs of every addon, so the manifest waits for the addon manifests
+    async getCatalogs(config) {
+        const hidden = (config.hiddenCatalogs || []).map(name => String(name).trim().toLowerCase());
+        const addons = await this.loadAddons(config);
+
+        return addons.flatMap(addon => (addon.manifest.catalogs || [])
+            .filter(catalog => catalog && catalog.id && catalog.type)
+            .map(catalog => ({
+                id: `${addon.key}.${shortHash(`${catalog.type}/${catalog.id}`)}`,
+                type: catalog.type,
+                name: `${addon.manifest.name} - ${catalog.name || catalog.id}`,
+                extra: this.getCatalogExtra(catalog),
+                addonName: String(catalog.name || catalog.id)
+            }))
+            // Hidden by the addon's catalog name or by the name shown here
+            .filter(catalog => !hidden.includes(catalog.addonName.toLowerCase()) && !hidden.includes(catalog.name.toLowerCase()))
+            .map(({ addonName, ...catalog }) => catalog));
+    }
+
+    // Extras (search, skip, genre...) go to the addon as they came
+    async getChannels(config, filter = null) {
+        const { catalogId = '', ...extra } = filter || {};
+        const [addonKey, catalogHash] = String(catalogId).split('.');
+        const addon = (await this.loadAddons(config)).find(candidate => candidate.key === addonKey);
+        const catalog = addon && (addon.manifest.catalogs || [])
+            .find(candidate => shortHash(`${candidate.type}/${candidate.id}`) === catalogHash);
+        if (!catalog) {
+            return [];
+        }
+
+        const data = await this.requestResource(addon, 'catalog', catalog.type, catalog.id, extra);
+        return (data.metas || [])
+            .filter(meta => meta && meta.id && meta.name)
+            .map(meta => {
+                const item = this.formatMetaItem(addon, meta.type || catalog.type, meta);
+                this.remember(item);
+                return item;
+            });
+    }
+
+    // From the addon the item came from, then from any other addon serving
+    // metas for it, then the catalog entry if nobody does
+    async getVideoMeta(videoId, config) {
+        const { addonKey, type, id } = this.parseVideoId(videoId);
+        const addons = await this.loadAddons(config);
+        const candidates = addons
+            .filter(addon => this.supportsResource(addon.manifest, 'meta', type, id))
+            .sort((a, b) => (b.key === addonKey) - (a.key === addonKey));
+
+        for (const addon of candidates) {
+            try {
+                const data = await this.requestResource(addon, 'meta', type, id);
+                if (data.meta) {
+                    return this.formatMetaItem(addons.find(owner => owner.key === addonKey) || addon, type, data.meta, true);
+                }
+            } catch (error) {
+                console.error(`Meta ${type}/${id} from ${addon.manifest.name} failed:`, error.message);
+            }
+        }
+
+        if (this.previews.has(videoId)) {
+            return this.previews.get(videoId);
+        }
+        throw new Error(`No addon has meta for ${type}/${id}`);
+    }
+
+    // Streams of every addon serving this type and id, failing addons are skipped
+    async getStreams(videoId, config) {
+        const { type, id } = this.parseVideoId(videoId);
+        const addons = (await this.loadAddons(config))
+            .filter(addon => this.supportsResource(addon.manifest, 'stream', type, id));
+
+        const results = await Promise.allSettled(addons.map(addon => this.requestResource(addon, 'stream', type, id)));
+        return results.flatMap((result, index) => {
+            if (result.status === 'rejected') {
+                console.error(`Streams ${type}/${id} from ${addons[index].manifest.name} failed:`, result.reason.message);
+                return [];
+            }
+            return (result.value.streams || []).map(stream => ({
+                ...stream,
+                name: stream.name || addons[index].manifest.name,
+                title: stream.title || stream.description || stream.name || addons[index].manifest.name
+            }));
+        });
+    }
+
+    // Private helper methods
+    parseVideoId(videoId) {
+        const [addonKey, type, ...rest] = String(videoId).split('.');
+        const id = rest.join('.');
+        if (!addonKey || !type || !id) {
+            throw new Error(`Invalid addon id ${videoId}`);
+        }
+        return { addonKey, type, id };
+    }
+
+    // stremio:// links are the https manifest URL
+    getSources(config) {
+        const sources = [...(this.settings.addons || []), ...(config.addons || [])]
+            .map(url => String(url).trim().replace(/^stremio:\/\//i, 'https://'));
+        return Array.from(new Set(sources));
+    }
+
+    // Addons whose manifest fails to load are skipped, the others still show up
+    async loadAddons(config) {
+        const sources = this.getSources(config);
+        const results = await Promise.allSettled(sources.map(source => this.getManifest(source)));
+
+        return results
+            .map((result, index) => {
+                if (result.status === 'fulfilled') {
+                    return { key: shortHash(sources[index]), url: sources[index], manifest: result.value };
+                }
+                console.error(`Error loading addon ${sources[index]}:`, result.reason.message);
+                return null;
+            })
+            .filter(Boolean);
+    }
+
+    // Cached for an hour, concurrent loads share a request
+    getManifest(url) {
+        const cached = this.manifests.get(url);
+        if (cached && Date.now() - cached.fetchedAt < MANIFEST_TTL_MS) {
+            return Promise.resolve(cached.manifest);
+        }
+        if (this.pendingManifests.has(url)) {
+            return this.pendingManifests.get(url);
+        }
+
+        const load = this.http.get(url, { cache: false }).then(response => {
+            const manifest = response.data;
+            if (!manifest || typeof manifest !== 'object' || !manifest.id || !Array.isArray(manifest.resources)) {
+                throw new Error('Not a Stremio addon manifest');
+            }
+            this.manifests.set(url, { manifest, fetchedAt: Date.now() });
+            return manifest;
+        });
+
+        this.pendingManifests.set(url, load);
+        return load.finally(() => this.pendingManifests.delete(url));
+    }
+
+    // Current "extra" list, or the older extraSupported/extraRequired names
+    getCatalogExtra(catalog) {
+        if (Array.isArray(catalog.extra)) {
+            return catalog.extra.filter(extra => extra && extra.name);
+        }
+        const required = catalog.extraRequired || [];
+        return (catalog.extraSupported || []).map(name => ({ name, isRequired: required.includes(name) }));
+    }
+
+    // Resources are names (using the manifest's types and idPrefixes) or
+    // objects with their own
+    supportsResource(manifest, name, type, id) {
+        return (manifest.resources || []).some(resource => {
+            const declared = typeof resource === 'string' ? { name: resource } : resource || {};
+            if (declared.name !== name) return false;
+
+            const types = declared.types || manifest.types || [];
+            const idPrefixes = declared.idPrefixes || manifest.idPrefixes;
+            return types.includes(type) && (!idPrefixes || idPrefixes.some(prefix => id.startsWith(prefix)));
+        });
+    }
+
+    // <addon>/<resource>/<type>/<id>[/<extra>].json
+    async requestResource(addon, resource, type, id, extra = {}) {
+        const base = addon.url.replace(/\/manifest\.json(\?.*)?$/i, '');
+        const extraPath = Object.entries(extra)
+            .filter(([, value]) => value !== undefined && value !== '')
+            .map(([name, value]) => `${encodeURIComponent(name)}=${encodeURIComponent(value)}`)
+            .join('&');
+        const url = `${base}/${resource}/${encodeURIComponent(type)}/${encodeURIComponent(id)}${extraPath ? `/${extraPath}` : ''}.json`;
+
+        const response = await this.http.get(url);
+        return response.data || {};
+    }
+
+    remember(item) {
+        this.previews.delete(item.id);
+        if (this.previews.size >= MAX_PREVIEWS) {
+            this.previews.delete(this.previews.keys().next().value);
+        }
+        this.previews.set(item.id, item);
+    }
+
+    formatMetaItem(addon, type, meta, withEpisodes = false) {
+        const year = parseInt(meta.releaseInfo || meta.year);
+        const item = {
+            id: `${addon.key}.${type}.${meta.id}`,
+            title: String(meta.name),
+            description: meta.description || '',
+            thumbnail: meta.poster || meta.background || meta.logo || '',
+            channelTitle: addon.manifest.name,
+            publishedAt: meta.released || (year ? `${year}-01-01T00:00:00.000Z` : new Date().toISOString()),
+            duration: meta.runtime || meta.releaseInfo || 'Video',
+            meta: pick(meta, META_FIELDS)
+        };
+
+        // Episode ids stay with the addon that listed them
+        if (withEpisodes && Array.isArray(meta.videos)) {
+            item.episodes = meta.videos.filter(video => video && video.id).map(video => ({
+                id: `${addon.key}.${type}.${video.id}`,
+                title: video.title || video.name || '',
+                description: video.overview || video.description || '',
+                thumbnail: video.thumbnail,
+                publishedAt: video.released,
+                season: video.season,
+                episode: video.episode
+            }));
+        }
+        return item;
+    }
+}
+
+module.exports = StremioAddonPlugin;
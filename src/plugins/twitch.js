@@ -0,0 +1,402 @@
+const crypto = require('crypto');
+const PluginBase = require('./plugin-base');
+const StreamingService = require('../streaming');
+
+const HELIX_URL = 'https://api.twitch.tv/helix';
+const TOKEN_URL = 'https://id.twitch.tv/oauth2/token';
+const PAGE_SIZE = 100;
+const LIVE_TTL_MS = 60 * 1000;
+const VODS_TTL_MS = 10 * 60 * 1000;
+// Display names and images change now and then
+const USERS_TTL_MS = 24 * 60 * 60 * 1000;
+// Entries kept per cache, the least recently stored go first
+const MAX_USERS = 2000;
+const MAX_CACHE_ENTRIES = 500;
+// The app token is renewed this long before Twitch expires it
+const TOKEN_MARGIN_MS = 5 * 60 * 1000;
+const LOGIN_PATTERN = /^[a-z0-9_]{1,25}$/;
+// What Twitch shows for broadcasts still in progress
+const PROCESSING_THUMBNAIL = 'https://vod-secure.twitch.tv/_404/404_processing_640x360.png';
+
+// "1h2m3s" (Helix video duration) -> seconds
+function parseDuration(value) {
+    const match = String(value || '').match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!match) return 0;
+    return (parseInt(match[1]) || 0) * 3600 + (parseInt(match[2]) || 0) * 60 + (parseInt(match[3]) || 0);
+}
+
+function thumbnailUrl(template, width = 640, height = 360) {
+    if (!template) return '';
+    return template.replace(/%?\{width\}/, width).replace(/%?\{height\}/, height);
+}
+
+// Followed Twitch channels through the Helix API (app access token from the
+// client credentials of a dev.twitch.tv application): a tv catalog with the
+// channels' live status and one catalog of past broadcasts per channel.
+// Ids are "live.<login>" and "vod.<video id>", streams come from yt-dlp.
+class TwitchPlugin extends PluginBase {
+    constructor() {
+        super();
+        this.streaming = new StreamingService();
+        // Client ID + secret hash -> { accessToken, expiresAt }
+        this.tokens = new Map();
+        this.pendingTokens = new Map();
+        // Login -> { user, fetchedAt }
+        this.users = new Map();
+        // Logins -> { streams, fetchedAt } and user id -> { videos, fetchedAt }
+        this.liveCache = new Map();
+        this.vodsCache = new Map();
+    }
+
+    async init() {
+        if (!await this.streaming.checkYtDlpAvailable()) {
+            console.warn('Twitch plugin: yt-dlp not found, streaming will fail');
+        }
+    }
+
+    async healthCheck() {
+        if (!await this.streaming.checkYtDlpAvailable()) {
+            return { status: 'degraded', message: 'yt-dlp not available' };
+        }
+        return { status: 'ok' };
+    }
+
+    async shutdown() {
+        this.users.clear();
+        this.liveCache.clear();
+        this.vodsCache.clear();
+    }
+
+    getName() {
+        return 'twitch';
+    }
+
+    getDisplayName() {
+        return 'Twitch';
+    }
+
+    getApiVersion() {
+        return '2.1';
+    }
+
+    getCapabilities() {
+        const { CHANNELS, LIVE, META, STREAM } = PluginBase.CAPABILITIES;
+        return [CHANNELS, LIVE, META, STREAM];
+    }
+
+    getConfigSchema() {
+        return {
+            clientId: {
+                type: 'string',
+                required: true,
+                label: 'Client ID',
+                description: 'Applicazione registrata su dev.twitch.tv/console'
+            },
+            clientSecret: {
+                type: 'secret',
+                required: true,
+                label: 'Client Secret'
+            },
+            channels: {
+                type: 'array',
+                items: 'string',
+                required: true,
+                label: 'Canali Seguiti',
+                description: 'Nomi utente o URL dei canali Twitch'
+            }
+        };
+    }
+
+    getCatalogs(config) {
+        const catalogs = [{
+            id: 'live',
+            type: 'tv',
+            name: 'Twitch - Canali',
+            extra: [{ name: 'skip', isRequired: false }]
+        }];
+
+        this.getLogins(config).forEach(login => {
+            catalogs.push({
+                id: `vods.${login}`,
+                name: `Twitch - ${login}`,
+                extra: [{ name: 'skip', isRequired: false }]
+            });
+        });
+        return catalogs;
+    }
+
+    async getChannels(config, filter = null) {
+        const catalogId = String(filter && filter.catalogId || '');
+        const skip = parseInt(filter && filter.skip) || 0;
+
+        if (catalogId === 'live') {
+            const channels = await this.getLiveStatus(this.getLogins(config), config);
+            return channels.slice(skip, skip + PAGE_SIZE);
+        }
+
+        const login = catalogId.replace(/^vods\./, '');
+        if (!this.getLogins(config).includes(login)) {
+            return [];
+        }
+        const [user] = await this.getUsers([login], config);
+        if (!user) {
+            return [];
+        }
+        const videos = await this.getUserVideos(user.id, config);
+        return videos.slice(skip, skip + PAGE_SIZE).map(video => this.formatVideoItem(video));
+    }
+
+    async getVideoMeta(videoId, config) {
+        const { kind, value } = this.parseVideoId(videoId);
+
+        if (kind === 'live') {
+            const [channel] = await this.getLiveStatus([value], config);
+            if (!channel) {
+                throw new Error(`Twitch channel ${value} not found`);
+            }
+            return channel;
+        }
+
+        const response = await this.helix('videos', { id: value }, config);
+        const video = response.data[0];
+        if (!video) {
+            throw new Error(`Twitch video ${value} not found`);
+        }
+        return this.formatVideoItem(video);
+    }
+
+    async getVideoUrl(videoId) {
+        const { kind, value } = this.parseVideoId(videoId);
+        return kind === 'live' ? `https://www.twitch.tv/${value}` : `https://www.twitch.tv/videos/${value}`;
+    }
+
+    // The HLS playlist from yt-dlp -g is passed to the player as is; past
+    // broadcasts can also go through the proxy, a live one never ends
+    async getStreams(videoId) {
+        const { kind } = this.parseVideoId(videoId);
+        const streams = [];
+
+        try {
+            const url = await this.streaming.createFastStreamUrl(await this.getVideoUrl(videoId));
+            streams.push({
+                name: 'Twitch',
+                title: kind === 'live' ? 'Diretta (HLS)' : 'Qualità Rapida (HLS)',
+                url
+            });
+        } catch (error) {
+            console.error(`Twitch HLS for ${videoId} failed:`, error.message);
+        }
+
+        if (kind === 'vod') {
+            streams.push({
+                name: 'Twitch',
+                title: 'Migliore Qualità Disponibile - Richiede Merge',
+                proxy: 'best'
+            });
+        }
+        return streams;
+    }
+
+    // Private helper methods
+    parseVideoId(videoId) {
+        const [kind, ...rest] = String(videoId).split('.');
+        const value = rest.join('.');
+        if (kind === 'live' && LOGIN_PATTERN.test(value)) {
+            return { kind, value };
+        }
+        if (kind === 'vod' && /^\d+$/.test(value)) {
+            return { kind, value };
+        }
+        throw new Error(`Invalid Twitch id ${videoId}`);
+    }
+
+    // "name", "https://www.twitch.tv/name" -> "name", invalid entries are dropped
+    getLogins(config) {
+        const logins = (config.channels || []).map(channel => {
+            const value = String(channel).trim();
+            const match = value.match(/^(?:https?:\/\/)?(?:www\.|m\.)?twitch\.tv\/([^/?#]+)/i);
+            return (match ? match[1] : value).toLowerCase();
+        });
+        return Array.from(new Set(logins.filter(login => LOGIN_PATTERN.test(login))));
+    }
+
+    // App access token, shared by everyone using the same application; a
+    // wrong secret for a known client ID doesn't get the cached token
+    getAccessToken(config) {
+        const key = this.getTokenKey(config);
+        const cached = this.tokens.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return Promise.resolve(cached.accessToken);
+        }
+        if (this.pendingTokens.has(key)) {
+            return this.pendingTokens.get(key);
+        }
+
+        const body = new URLSearchParams({
+            client_id: config.clientId,
+            client_secret: config.clientSecret,
+            grant_type: 'client_credentials'
+        });
+        const request = this.http.post(TOKEN_URL, body.toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        }).then(response => {
+            const { access_token: accessToken, expires_in: expiresIn } = response.data;
+            this.tokens.set(key, {
+                accessToken,
+                expiresAt: Date.now() + expiresIn * 1000 - TOKEN_MARGIN_MS
+            });
+            return accessToken;
+        }).catch(error => {
+            const status = error.response && error.response.status;
+            throw new Error(status === 400 || status === 403 ? 'Invalid Twitch client credentials' : `Twitch authentication failed: ${error.message}`);
+        });
+
+        this.pendingTokens.set(key, request);
+        return request.finally(() => this.pendingTokens.delete(key));
+    }
+
+    getTokenKey(config) {
+        const secretHash = crypto.createHash('sha256').update(String(config.clientSecret)).digest('hex');
+        return `${config.clientId}:${secretHash}`;
+    }
+
+    // Helix GET; repeated parameters (login=a&login=b) are passed as arrays.
+    // A revoked token is dropped and the request tried once more.
+    async helix(endpoint, params, config, retry = true) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([name, value]) => {
+            [].concat(value).forEach(item => query.append(name, item));
+        });
+
+        const accessToken = await this.getAccessToken(config);
+        try {
+            const response = await this.http.get(`${HELIX_URL}/${endpoint}?${query}`, {
+                headers: {
+                    'Client-Id': config.clientId,
+                    Authorization: `Bearer ${accessToken}`
+                },
+                cache: false
+            });
+            return response.data;
+        } catch (error) {
+            if (retry && error.response && error.response.status === 401) {
+                this.tokens.delete(this.getTokenKey(config));
+                return this.helix(endpoint, params, config, false);
+            }
+            throw new Error(`Twitch API error (${endpoint}): ${error.message}`);
+        }
+    }
+
+    // Helix users in the order of the logins, unknown logins are left out
+    async getUsers(logins, config) {
+        const known = new Map();
+        logins.forEach(login => {
+            const cached = this.users.get(login);
+            if (cached && Date.now() - cached.fetchedAt < USERS_TTL_MS) known.set(login, cached.user);
+        });
+
+        const missing = logins.filter(login => !known.has(login));
+        for (let index = 0; index < missing.length; index += PAGE_SIZE) {
+            const response = await this.helix('users', { login: missing.slice(index, index + PAGE_SIZE) }, config);
+            response.data.forEach(user => {
+                known.set(user.login, user);
+                this.remember(this.users, user.login, { user, fetchedAt: Date.now() }, USERS_TTL_MS, MAX_USERS);
+            });
+        }
+        return logins.map(login => known.get(login)).filter(Boolean);
+    }
+
+    // Every channel with its live status, the live ones first
+    async getLiveStatus(logins, config) {
+        if (logins.length === 0) return [];
+
+        const key = logins.join(',');
+        const cached = this.liveCache.get(key);
+        let streams = cached && Date.now() - cached.fetchedAt < LIVE_TTL_MS ? cached.streams : null;
+        if (!streams) {
+            streams = [];
+            for (let index = 0; index < logins.length; index += PAGE_SIZE) {
+                const response = await this.helix('streams', {
+                    user_login: logins.slice(index, index + PAGE_SIZE),
+                    first: PAGE_SIZE
+                }, config);
+                streams.push(...response.data);
+            }
+            this.remember(this.liveCache, key, { streams, fetchedAt: Date.now() }, LIVE_TTL_MS, MAX_CACHE_ENTRIES);
+        }
+
+        const users = await this.getUsers(logins, config);
+        return users
+            .map(user => this.formatChannelItem(user, streams.find(stream => stream.user_login === user.login)))
+            .sort((a, b) => b.viewers - a.viewers)
+            .map(({ viewers, ...item }) => item);
+    }
+
+    async getUserVideos(userId, config) {
+        const cached = this.vodsCache.get(userId);
+        if (cached && Date.now() - cached.fetchedAt < VODS_TTL_MS) {
+            return cached.videos;
+        }
+
+        const response = await this.helix('videos', { user_id: userId, type: 'archive', first: PAGE_SIZE }, config);
+        this.remember(this.vodsCache, userId, { videos: response.data, fetchedAt: Date.now() }, VODS_TTL_MS, MAX_CACHE_ENTRIES);
+        return response.data;
+    }
+
+    // Stores { ..., fetchedAt } entries: expired ones are dropped, then the
+    // oldest past maxEntries
+    remember(cache, key, entry, ttlMs, maxEntries) {
+        cache.forEach((cached, cachedKey) => {
+            if (Date.now() - cached.fetchedAt >= ttlMs) cache.delete(cachedKey);
+        });
+
+        cache.delete(key);
+        if (cache.size >= maxEntries) {
+            cache.delete(cache.keys().next().value);
+        }
+        cache.set(key, entry);
+    }
+
+    // viewers is only used for sorting, -1 for offline channels
+    formatChannelItem(user, stream) {
+        if (!stream) {
+            return {
+                id: `live.${user.login}`,
+                title: `${user.display_name} - Offline`,
+                description: user.description,
+                thumbnail: user.offline_image_url || user.profile_image_url,
+                channelTitle: user.display_name,
+                publishedAt: new Date().toISOString(),
+                duration: 'Offline',
+                viewers: -1
+            };
+        }
+
+        const details = [stream.game_name, `${stream.viewer_count} spettatori`].filter(Boolean).join(' - ');
+        return {
+            id: `live.${user.login}`,
+            title: `${user.display_name} - In diretta`,
+            description: `${stream.title}\n${details}`,
+            // The preview is refreshed by Twitch every few minutes
+            thumbnail: `${thumbnailUrl(stream.thumbnail_url)}?t=${Math.floor(Date.now() / LIVE_TTL_MS)}`,
+            channelTitle: user.display_name,
+            publishedAt: stream.started_at,
+            duration: 'Live',
+            viewers: stream.viewer_count
+        };
+    }
+
+    formatVideoItem(video) {
+        return {
+            id: `vod.${video.id}`,
+            title: video.title,
+            description: video.description,
+            thumbnail: thumbnailUrl(video.thumbnail_url) || PROCESSING_THUMBNAIL,
+            channelTitle: video.user_name,
+            publishedAt: video.created_at,
+            duration: this.formatDuration(parseDuration(video.duration))
+        };
+    }
+}
+
+module.exports = TwitchPlugin;
@@ -1,10 +1,58 @@
+const crypto = require('crypto');
 const PluginBase = require('./plugin-base');
-const axios = require('axios');
+const StreamingService = require('../streaming');
 
+// After a quotaExceeded the Data API is skipped for this long (per key)
+const QUOTA_RETRY_MS = 60 * 60 * 1000;
+const ALTERNATIVE_BACKENDS = ['invidious', 'piped'];
+
+// Data API error carrying the reason Google reports (quotaExceeded, keyInvalid...)
+function apiError(error, message) {
+    const reason = error.response?.data?.error?.errors?.[0]?.reason || error.reason;
+    let wrapped;
+    if (reason === 'quotaExceeded') {
+        wrapped = new Error('YouTube API quota exceeded');
+    } else if (reason === 'keyInvalid') {
+        wrapped = new Error('Invalid YouTube API key');
+    } else {
+        wrapped = new Error(`${message}: ${error.message}`);
+    }
+    wrapped.reason = reason;
+    return wrapped;
+}
+
+function stripHtml(html) {
+    return String(html || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '');
+}
+
+// Search, channels, metadata and streams go through the YouTube Data API, or
+// through an Invidious / Piped instance (no API key). With the Data API an
+// instance can be set as fallback for when the quota runs out.
 class YouTubePlugin extends PluginBase {
     constructor() {
         super();
         this.apiBase = 'https://www.googleapis.com/youtube/v3';
+        this.streaming = new StreamingService();
+        // API key hash -> time the Data API can be tried again
+        this.quotaExceededUntil = new Map();
+    }
+
+    async init() {
+        // Search and metadata work without yt-dlp, only streaming needs it
+        if (!await this.streaming.checkYtDlpAvailable()) {
+            console.warn('YouTube plugin: yt-dlp not found, streaming will fail');
+        }
+    }
+
+    async shutdown() {
+        this.quotaExceededUntil.clear();
+    }
+
+    async healthCheck() {
+        if (!await this.streaming.checkYtDlpAvailable()) {
+            return { status: 'degraded', message: 'yt-dlp not available' };
+        }
+        return { status: 'ok' };
     }
 
     getName() {
@@ -15,13 +63,58 @@ class YouTubePlugin extends PluginBase {
         return 'YouTube';
     }
 
+    getApiVersion() {
+        return '2.1';
+    }
+
+    getCapabilities() {
+        const { SEARCH, CHANNELS, META, STREAM } = PluginBase.CAPABILITIES;
+        return [SEARCH, CHANNELS, META, STREAM];
+    }
+
     getConfigSchema() {
         return {
+            backend: {
+                type: 'select',
+                options: [
+                    { value: 'api', label: 'YouTube Data API' },
+                    { value: 'invidious', label: 'Invidious' },
+                    { value: 'piped', label: 'Piped' }
+                ],
+                default: 'api',
+                label: 'Backend'
+            },
             apiKey: { 
                 type: 'string', 
                 required: true, 
                 label: 'YouTube API Key',
-                description: 'Get from Google Cloud Console'
+                description: 'Get from Google Cloud Console',
+                showIf: { backend: 'api' }
+            },
+            instance: {
+                type: 'url',
+                required: true,
+                label: 'Istanza',
+                description: 'URL dell\'API Invidious (https://invidious.example) o Piped (https://pipedapi.example)',
+                showIf: { backend: ALTERNATIVE_BACKENDS }
+            },
+            fallback: {
+                type: 'select',
+                options: [
+                    { value: 'none', label: 'Nessuna' },
+                    { value: 'invidious', label: 'Invidious' },
+                    { value: 'piped', label: 'Piped' }
+                ],
+                default: 'none',
+                label: 'Alternativa a quota esaurita',
+                showIf: { backend: 'api' }
+            },
+            fallbackInstance: {
+                type: 'url',
+                required: true,
+                label: 'Istanza alternativa',
+                description: 'Usata quando la Data API risponde quotaExceeded',
+                showIf: { backend: 'api', fallback: ALTERNATIVE_BACKENDS }
             },
             channels: { 
                 type: 'array', 
@@ -54,37 +147,11 @@ class YouTubePlugin extends PluginBase {
     }
 
     async search(query, config, limit = 25) {
-        if (!config.apiKey) {
-            throw new Error('YouTube API Key required');
-        }
-
-        try {
-            const response = await axios.get(`${this.apiBase}/search`, {
-                params: {
-                    part: 'snippet',
-                    q: query,
-                    type: 'video',
-                    maxResults: Math.min(50, limit),
-                    key: config.apiKey,
-                    regionCode: 'IT',
-                    relevanceLanguage: 'it',
-                    videoEmbeddable: 'any',
-                    safeSearch: 'none'
-                }
-            });
-
-            return response.data.items.map(item => this.formatVideoItem(item));
-        } catch (error) {
-            if (error.response && error.response.status === 403) {
-                const errorData = error.response.data;
-                if (errorData?.error?.errors?.[0]?.reason === 'quotaExceeded') {
-                    throw new Error('YouTube API quota exceeded');
-                } else if (errorData?.error?.errors?.[0]?.reason === 'keyInvalid') {
-                    throw new Error('Invalid YouTube API key');
-                }
-            }
-            throw new Error(`YouTube search failed: ${error.message}`);
-        }
+        return this.withBackend(config, {
+            api: () => this.apiSearch(query, config.apiKey, limit),
+            invidious: instance => this.invidiousSearch(instance, query, limit),
+            piped: instance => this.pipedSearch(instance, query, limit)
+        });
     }
 
     async getChannels(config, filter = null) {
@@ -96,11 +163,12 @@ class YouTubePlugin extends PluginBase {
         
         for (const channelUrl of config.channels) {
             try {
-                const channelId = await this.getChannelId(channelUrl, config.apiKey);
-                if (channelId) {
-                    const videos = await this.getChannelVideos(channelId, config.apiKey);
-                    allVideos.push(...videos);
-                }
+                const videos = await this.withBackend(config, {
+                    api: () => this.apiChannelVideos(channelUrl, config.apiKey),
+                    invidious: instance => this.invidiousChannelVideos(instance, channelUrl),
+                    piped: instance => this.pipedChannelVideos(instance, channelUrl)
+                });
+                allVideos.push(...videos);
             } catch (error) {
                 console.error(`Error fetching channel ${channelUrl}:`, error.message);
             }
@@ -113,27 +181,34 @@ class YouTubePlugin extends PluginBase {
     }
 
     async getVideoMeta(videoId, config) {
-        if (!config.apiKey) {
-            throw new Error('YouTube API Key required');
-        }
+        return this.withBackend(config, {
+            api: () => this.apiVideoMeta(videoId, config.apiKey),
+            invidious: instance => this.invidiousVideoMeta(instance, videoId),
+            piped: instance => this.pipedVideoMeta(instance, videoId)
+        });
+    }
 
-        try {
-            const response = await axios.get(`${this.apiBase}/videos`, {
-                params: {
-                    part: 'snippet,contentDetails',
-                    id: videoId,
-                    key: config.apiKey
-                }
-            });
+    // yt-dlp through /proxy; Invidious and Piped also give their own stream URLs
+    async getStreams(videoId, config) {
+        const proxyStreams = [
+            { title: 'Qualità Rapida (720p) - Audio+Video Sincronizzati', quality: 'fast', proxy: 'fast' },
+            { title: 'Migliore Qualità Disponibile - Richiede Merge', quality: 'best', proxy: 'best' }
+        ];
 
-            if (response.data.items.length === 0) {
-                throw new Error('Video not found');
-            }
+        const backend = config.backend || 'api';
+        if (!ALTERNATIVE_BACKENDS.includes(backend)) {
+            return proxyStreams;
+        }
 
-            const video = response.data.items[0];
-            return this.formatVideoItem(video, true);
+        try {
+            const instance = this.getInstanceUrl(config.instance);
+            const instanceStreams = backend === 'piped' ?
+                await this.pipedStreams(instance, videoId) :
+                await this.invidiousStreams(instance, videoId);
+            return [...instanceStreams, ...proxyStreams];
         } catch (error) {
-            throw new Error(`Failed to get video metadata: ${error.message}`);
+            console.error(`YouTube ${backend} streams failed for ${videoId}:`, error.message);
+            return proxyStreams;
         }
     }
 
@@ -151,46 +226,145 @@ class YouTubePlugin extends PluginBase {
     }
 
     // Private helper methods
-    async getChannelId(channelUrl, apiKey) {
+
+    // Runs the operation of the configured backend. With the Data API, a
+    // quotaExceeded switches to the fallback instance (if any) for an hour.
+    async withBackend(config, operations) {
+        const backend = config.backend || 'api';
+        if (ALTERNATIVE_BACKENDS.includes(backend)) {
+            return operations[backend](this.getInstanceUrl(config.instance));
+        }
+
+        const fallback = ALTERNATIVE_BACKENDS.includes(config.fallback) && config.fallbackInstance ?
+            () => operations[config.fallback](this.getInstanceUrl(config.fallbackInstance)) :
+            null;
+
+        const keyHash = crypto.createHash('sha256').update(String(config.apiKey)).digest('hex');
+        if (fallback && this.quotaExceededUntil.get(keyHash) > Date.now()) {
+            return fallback();
+        }
+
         try {
-            const url = new URL(channelUrl);
-            
-            // Direct channel ID
-            const channelIdMatch = url.pathname.match(/\/channel\/([A-Za-z0-9_-]{10,})/);
-            if (channelIdMatch) {
-                return channelIdMatch[1];
+            return await operations.api();
+        } catch (error) {
+            if (error.reason !== 'quotaExceeded' || !fallback) {
+                throw error;
             }
+            console.warn(`YouTube API quota exceeded, using ${config.fallback} until ${new Date(Date.now() + QUOTA_RETRY_MS).toISOString()}`);
+            this.quotaExceededUntil.forEach((until, cachedKey) => {
+                if (until <= Date.now()) this.quotaExceededUntil.delete(cachedKey);
+            });
+            this.quotaExceededUntil.set(keyHash, Date.now() + QUOTA_RETRY_MS);
+            return fallback();
+        }
+    }
+
+    getInstanceUrl(instance) {
+        if (!instance) {
+            throw new Error('Invidious/Piped instance required');
+        }
+        return new URL(instance).toString().replace(/\/$/, '');
+    }
+
+    // YouTube Data API
+    async apiSearch(query, apiKey, limit) {
+        if (!apiKey) {
+            throw new Error('YouTube API Key required');
+        }
+
+        try {
+            const response = await this.http.get(`${this.apiBase}/search`, {
+                params: {
+                    part: 'snippet',
+                    q: query,
+                    type: 'video',
+                    maxResults: Math.min(50, limit),
+                    key: apiKey,
+                    regionCode: 'IT',
+                    relevanceLanguage: 'it',
+                    videoEmbeddable: 'any',
+                    safeSearch: 'none'
+                }
+            });
+
+            return response.data.items.map(item => this.formatVideoItem(item));
+        } catch (error) {
+            throw apiError(error, 'YouTube search failed');
+        }
+    }
+
+    async apiChannelVideos(channelUrl, apiKey) {
+        const channelId = await this.getChannelId(channelUrl, apiKey);
+        return channelId ? this.getChannelVideos(channelId, apiKey) : [];
+    }
+
+    async apiVideoMeta(videoId, apiKey) {
+        if (!apiKey) {
+            throw new Error('YouTube API Key required');
+        }
 
-            // Handle (@username)
-            const handleMatch = url.pathname.match(/\/@([A-Za-z0-9._-]+)/);
-            if (handleMatch) {
-                const handle = handleMatch[1];
-                try {
-                    const response = await axios.get(`${this.apiBase}/search`, {
-                        params: {
-                            part: 'snippet',
-                            q: `@${handle}`,
-                            type: 'channel',
-                            maxResults: 1,
-                            key: apiKey
-                        }
-                    });
-                    return response.data.items?.[0]?.snippet?.channelId;
-                } catch (error) {
-                    console.error(`Error finding channel for handle @${handle}:`, error.message);
+        let response;
+        try {
+            response = await this.http.get(`${this.apiBase}/videos`, {
+                params: {
+                    part: 'snippet,contentDetails',
+                    id: videoId,
+                    key: apiKey
                 }
-            }
+            });
+        } catch (error) {
+            throw apiError(error, 'Failed to get video metadata');
+        }
 
-            return null;
+        if (response.data.items.length === 0) {
+            throw new Error('Failed to get video metadata: Video not found');
+        }
+
+        const video = response.data.items[0];
+        return this.formatVideoItem(video, true);
+    }
+
+    async getChannelId(channelUrl, apiKey) {
+        let url;
+        try {
+            url = new URL(channelUrl);
         } catch (error) {
             console.error('Error parsing channel URL:', error.message);
             return null;
         }
+
+        // Direct channel ID
+        const channelIdMatch = url.pathname.match(/\/channel\/([A-Za-z0-9_-]{10,})/);
+        if (channelIdMatch) {
+            return channelIdMatch[1];
+        }
+
+        // Handle (@username)
+        const handleMatch = url.pathname.match(/\/@([A-Za-z0-9._-]+)/);
+        if (handleMatch) {
+            const handle = handleMatch[1];
+            try {
+                const response = await this.http.get(`${this.apiBase}/search`, {
+                    params: {
+                        part: 'snippet',
+                        q: `@${handle}`,
+                        type: 'channel',
+                        maxResults: 1,
+                        key: apiKey
+                    }
+                });
+                return response.data.items?.[0]?.snippet?.channelId;
+            } catch (error) {
+                throw apiError(error, `Error finding channel for handle @${handle}`);
+            }
+        }
+
+        return null;
     }
 
     async getChannelVideos(channelId, apiKey, maxResults = 10) {
         try {
-            const response = await axios.get(`${this.apiBase}/search`, {
+            const response = await this.http.get(`${this.apiBase}/search`, {
                 params: {
                     part: 'snippet',
                     channelId: channelId,
@@ -203,10 +377,143 @@ class YouTubePlugin extends PluginBase {
 
             return response.data.items.map(item => this.formatVideoItem(item));
         } catch (error) {
-            throw new Error(`Failed to get channel videos: ${error.message}`);
+            throw apiError(error, 'Failed to get channel videos');
         }
     }
 
+    // Invidious API (/api/v1)
+    async invidiousSearch(instance, query, limit) {
+        const response = await this.http.get(`${instance}/api/v1/search`, {
+            params: { q: query, type: 'video' }
+        });
+        return response.data
+            .filter(item => item.type === 'video')
+            .slice(0, limit)
+            .map(item => this.formatInvidiousItem(item, instance));
+    }
+
+    async invidiousChannelVideos(instance, channelUrl) {
+        let channelId = new URL(channelUrl).pathname.match(/\/channel\/([A-Za-z0-9_-]{10,})/)?.[1];
+        if (!channelId) {
+            const resolved = await this.http.get(`${instance}/api/v1/resolveurl`, { params: { url: channelUrl } });
+            channelId = resolved.data.ucid;
+        }
+        if (!channelId) {
+            return [];
+        }
+
+        const response = await this.http.get(`${instance}/api/v1/channels/${channelId}/videos`);
+        // Older instances answer with the array itself
+        const videos = Array.isArray(response.data) ? response.data : response.data.videos || [];
+        return videos.slice(0, 10).map(item => this.formatInvidiousItem(item, instance));
+    }
+
+    async invidiousVideoMeta(instance, videoId) {
+        const response = await this.http.get(`${instance}/api/v1/videos/${videoId}`);
+        return this.formatInvidiousItem(response.data, instance);
+    }
+
+    // local=true makes the instance proxy the files, googlevideo URLs are
+    // bound to the instance's IP
+    async invidiousStreams(instance, videoId) {
+        const response = await this.http.get(`${instance}/api/v1/videos/${videoId}`, { params: { local: true } });
+        const video = response.data;
+
+        if (video.hlsUrl) {
+            return [{ name: 'Invidious', title: 'Live (HLS)', url: new URL(video.hlsUrl, instance).toString() }];
+        }
+
+        return (video.formatStreams || [])
+            .filter(format => format.url)
+            .sort((a, b) => parseInt(b.resolution || b.qualityLabel) - parseInt(a.resolution || a.qualityLabel))
+            .map(format => ({
+                name: 'Invidious',
+                title: `${format.qualityLabel || format.resolution || format.quality} - ${new URL(instance).host}`,
+                url: new URL(format.url, instance).toString()
+            }));
+    }
+
+    formatInvidiousItem(item, instance) {
+        const thumbnails = item.videoThumbnails || [];
+        const thumbnail = thumbnails.find(candidate => candidate.quality === 'high') || thumbnails[0];
+
+        return {
+            id: item.videoId,
+            title: this.sanitizeString(item.title) || 'Untitled Video',
+            description: this.sanitizeString(item.description) || '',
+            thumbnail: thumbnail ?
+                new URL(thumbnail.url, instance).toString() :
+                `https://i.ytimg.com/vi/${item.videoId}/hqdefault.jpg`,
+            channelTitle: this.sanitizeString(item.author) || 'Unknown Channel',
+            publishedAt: item.published ? new Date(item.published * 1000).toISOString() : new Date().toISOString(),
+            duration: item.lengthSeconds ? this.formatDuration(item.lengthSeconds) : 'Video'
+        };
+    }
+
+    // Piped API
+    async pipedSearch(instance, query, limit) {
+        const response = await this.http.get(`${instance}/search`, {
+            params: { q: query, filter: 'videos' }
+        });
+        return (response.data.items || [])
+            .filter(item => item.type === 'stream')
+            .slice(0, limit)
+            .map(item => this.formatPipedItem(item));
+    }
+
+    async pipedChannelVideos(instance, channelUrl) {
+        const url = new URL(channelUrl);
+        const channelId = url.pathname.match(/\/channel\/([A-Za-z0-9_-]{10,})/)?.[1];
+        const handle = url.pathname.match(/\/@([A-Za-z0-9._-]+)/)?.[1];
+        if (!channelId && !handle) {
+            return [];
+        }
+
+        const response = await this.http.get(channelId ? `${instance}/channel/${channelId}` : `${instance}/@/${handle}`);
+        const channelName = response.data.name;
+        return (response.data.relatedStreams || [])
+            .filter(item => item.type === 'stream')
+            .slice(0, 10)
+            .map(item => this.formatPipedItem({ uploaderName: channelName, ...item }));
+    }
+
+    async pipedVideoMeta(instance, videoId) {
+        const response = await this.http.get(`${instance}/streams/${videoId}`);
+        return this.formatPipedItem({ ...response.data, url: `/watch?v=${videoId}` });
+    }
+
+    // Muxed (audio+video) files first, then the adaptive HLS manifest
+    async pipedStreams(instance, videoId) {
+        const response = await this.http.get(`${instance}/streams/${videoId}`);
+        const video = response.data;
+        const host = new URL(instance).host;
+
+        const streams = (video.videoStreams || [])
+            .filter(stream => stream.url && !stream.videoOnly)
+            .sort((a, b) => parseInt(b.quality) - parseInt(a.quality))
+            .map(stream => ({ name: 'Piped', title: `${stream.quality} - ${host}`, url: stream.url }));
+
+        if (video.hls) {
+            streams.push({ name: 'Piped', title: `HLS - ${host}`, url: video.hls });
+        }
+        return streams;
+    }
+
+    formatPipedItem(item) {
+        const videoId = new URLSearchParams(String(item.url || '').split('?')[1] || '').get('v');
+        const uploaded = item.uploaded > 0 ? new Date(item.uploaded) : new Date(item.uploadDate || Date.now());
+
+        return {
+            id: videoId,
+            title: this.sanitizeString(item.title) || 'Untitled Video',
+            description: this.sanitizeString(stripHtml(item.description || item.shortDescription)) || '',
+            thumbnail: item.thumbnail || item.thumbnailUrl || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`,
+            channelTitle: this.sanitizeString(item.uploaderName || item.uploader) || 'Unknown Channel',
+            publishedAt: isNaN(uploaded.getTime()) ? new Date().toISOString() : uploaded.toISOString(),
+            duration: item.duration > 0 ? this.formatDuration(item.duration) : 'Video'
+        };
+    }
+
     formatVideoItem(item, includeDetails = false) {
         const videoId = item.id?.videoId || item.id;
         const snippet = item.snippet || {};
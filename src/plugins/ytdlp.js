@@ -0,0 +1,235 @@
+const PluginBase = require('./plugin-base');
+const StreamingService = require('../streaming');
+
+const PLAYLIST_CACHE_TTL_MS = 10 * 60 * 1000;
+// Hosts of listed entries remembered, the least recently used go first
+const MAX_LISTED_HOSTS = 500;
+
+// Hostname without www., null for invalid URLs
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+}
+
+// Any site supported by yt-dlp: catalogs from channel/playlist URLs listed in
+// the config. Video ids are the base64url of the video page URL.
+class YtDlpPlugin extends PluginBase {
+    constructor() {
+        super();
+        this.streaming = new StreamingService();
+        this.playlistCache = new Map();
+        // Hosts entries of the configured URLs were listed on (youtu.be for a
+        // youtube.com playlist, dai.ly...), whose ids are accepted too
+        this.listedHosts = new Map();
+    }
+
+    async init() {
+        if (!await this.streaming.checkYtDlpAvailable()) {
+            throw new Error('yt-dlp not found');
+        }
+    }
+
+    async healthCheck() {
+        if (!await this.streaming.checkYtDlpAvailable()) {
+            return { status: 'degraded', message: 'yt-dlp not available' };
+        }
+        return { status: 'ok' };
+    }
+
+    async shutdown() {
+        this.playlistCache.clear();
+        this.listedHosts.clear();
+    }
+
+    getName() {
+        return 'ytdlp';
+    }
+
+    getDisplayName() {
+        return 'yt-dlp (Vimeo, Dailymotion, SoundCloud...)';
+    }
+
+    getApiVersion() {
+        return '2.1';
+    }
+
+    getCapabilities() {
+        const { CHANNELS, META, STREAM } = PluginBase.CAPABILITIES;
+        return [CHANNELS, META, STREAM];
+    }
+
+    getConfigSchema() {
+        return {
+            urls: {
+                type: 'array',
+                items: 'url',
+                required: true,
+                label: 'URL',
+                description: 'Canali, playlist o video di qualsiasi sito supportato da yt-dlp'
+            },
+            pageSize: {
+                type: 'number',
+                min: 1,
+                max: 100,
+                default: 25,
+                label: 'Video per pagina'
+            }
+        };
+    }
+
+    // One catalog per listed URL
+    getCatalogs(config) {
+        return (config.urls || []).map((url, index) => ({
+            id: `url${index}`,
+            name: this.getCatalogName(url),
+            extra: [{ name: 'skip', isRequired: false }]
+        }));
+    }
+
+    async getChannels(config, filter = null) {
+        const index = parseInt(String(filter && filter.catalogId || '').replace(/^url/, ''));
+        const url = (config.urls || [])[index];
+        if (!url) {
+            return [];
+        }
+
+        const skip = parseInt(filter.skip) || 0;
+        const pageSize = config.pageSize || 25;
+        const info = await this.getPlaylistInfo(url, skip + 1, skip + pageSize);
+
+        // A single video URL gives the video itself instead of entries
+        const entries = info.entries || (skip === 0 ? [info] : []);
+        const videos = entries
+            .map(entry => this.formatVideoItem(entry, info))
+            .filter(Boolean);
+        videos.forEach(video => this.rememberListedHost(Buffer.from(video.id, 'base64url').toString('utf8')));
+        return videos;
+    }
+
+    async getVideoMeta(videoId, config) {
+        const info = await this.streaming.getVideoInfo(this.decodeVideoId(videoId, config));
+        const video = this.formatVideoItem(info);
+        if (!video) {
+            throw new Error('Video not found');
+        }
+        return video;
+    }
+
+    async getVideoUrl(videoId, config) {
+        return this.decodeVideoId(videoId, config);
+    }
+
+    isVideoSupported(url) {
+        return /^https?:\/\//.test(url);
+    }
+
+    extractVideoId(url) {
+        return this.isVideoSupported(url) ? this.encodeVideoId(url) : null;
+    }
+
+    // Private helper methods
+    encodeVideoId(url) {
+        return Buffer.from(url).toString('base64url');
+    }
+
+    // Ids are only trusted for the sites of the configured URLs and the hosts
+    // this plugin listed entries on, so they can't point yt-dlp at arbitrary
+    // (or internal) hosts
+    decodeVideoId(videoId, config) {
+        const url = Buffer.from(videoId, 'base64url').toString('utf8');
+        if (!this.isVideoSupported(url) || !this.isAllowedHost(url, config)) {
+            throw new Error('Invalid video id');
+        }
+        return url;
+    }
+
+    // Same host as a configured URL or one of its subdomains (www. ignored),
+    // or a host listed entries came from
+    isAllowedHost(url, config) {
+        const host = hostOf(url);
+        if (!host) {
+            return false;
+        }
+        if (this.listedHosts.has(host)) {
+            return true;
+        }
+        return (config.urls || [])
+            .map(hostOf)
+            .some(allowed => allowed && (host === allowed || host.endsWith(`.${allowed}`)));
+    }
+
+    rememberListedHost(url) {
+        const host = hostOf(url);
+        if (!host) return;
+
+        this.listedHosts.delete(host);
+        if (this.listedHosts.size >= MAX_LISTED_HOSTS) {
+            this.listedHosts.delete(this.listedHosts.keys().next().value);
+        }
+        this.listedHosts.set(host, true);
+    }
+
+    getCatalogName(url) {
+        try {
+            const parsed = new URL(url);
+            const host = parsed.hostname.replace(/^www\./, '');
+            const path = parsed.pathname.replace(/\/$/, '');
+            return `${host}${path}`.substring(0, 60);
+        } catch (error) {
+            return url;
+        }
+    }
+
+    async getPlaylistInfo(url, start, end) {
+        const key = `${url} ${start}-${end}`;
+        const cached = this.playlistCache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.info;
+        }
+
+        const info = await this.streaming.getPlaylistInfo(url, start, end);
+        this.playlistCache.forEach((entry, entryKey) => {
+            if (entry.expiresAt <= Date.now()) this.playlistCache.delete(entryKey);
+        });
+        this.playlistCache.set(key, { info, expiresAt: Date.now() + PLAYLIST_CACHE_TTL_MS });
+        return info;
+    }
+
+    // yt-dlp JSON (full or --flat-playlist entry) to a video item
+    formatVideoItem(entry, playlist = {}) {
+        const url = [entry.webpage_url, entry.url, entry.original_url]
+            .find(candidate => candidate && this.isVideoSupported(candidate));
+        if (!url) {
+            return null;
+        }
+
+        const thumbnails = entry.thumbnails || [];
+        const thumbnail = entry.thumbnail ||
+            (thumbnails.length > 0 ? thumbnails[thumbnails.length - 1].url : null) ||
+            playlist.thumbnail ||
+            (playlist.thumbnails && playlist.thumbnails.length > 0 ? playlist.thumbnails[playlist.thumbnails.length - 1].url : null);
+
+        let publishedAt = null;
+        if (entry.timestamp) {
+            publishedAt = new Date(entry.timestamp * 1000).toISOString();
+        } else if (/^\d{8}$/.test(entry.upload_date || '')) {
+            const date = entry.upload_date;
+            publishedAt = `${date.substring(0, 4)}-${date.substring(4, 6)}-${date.substring(6, 8)}T00:00:00Z`;
+        }
+
+        return {
+            id: this.encodeVideoId(url),
+            title: this.sanitizeString(entry.title) || 'Untitled Video',
+            description: this.sanitizeString(entry.description) || '',
+            thumbnail,
+            channelTitle: this.sanitizeString(entry.uploader || entry.channel || playlist.uploader || playlist.title) || 'Unknown Channel',
+            publishedAt: publishedAt || new Date().toISOString(),
+            duration: entry.duration ? this.formatDuration(Math.round(entry.duration)) : 'Video'
+        };
+    }
+}
+
+module.exports = YtDlpPlugin;
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+// Server-side settings (not the per-manifest user config, which stays stateless
+// in the URL). Read from a JSON file and overridable through env vars.
+const DEFAULT_SETTINGS_FILE = 'omg-rome.config.json';
+
+function splitList(value, separator) {
+    if (!value) return [];
+    return value.split(separator).map(item => item.trim()).filter(item => item !== '');
+}
+
+function readSettingsFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8')) || {};
+    } catch (error) {
+        console.error(`Invalid settings file ${filePath}:`, error.message);
+        return {};
+    }
+}
+
+// 'none' runs plugins in the gateway process, 'worker' in worker threads
+const ISOLATION_MODES = ['none', 'worker'];
+
+function loadIsolation(fileIsolation = {}, env) {
+    const mode = env.OMG_PLUGIN_ISOLATION || fileIsolation.mode || 'none';
+    // A typo must not silently run plugins without isolation
+    if (!ISOLATION_MODES.includes(mode)) {
+        throw new Error(`Invalid plugin isolation mode "${mode}", expected one of: ${ISOLATION_MODES.join(', ')}`);
+    }
+
+    return {
+        mode,
+        timeoutMs: parseInt(env.OMG_PLUGIN_TIMEOUT_MS) || fileIsolation.timeoutMs || 30000,
+        memoryMb: parseInt(env.OMG_PLUGIN_MEMORY_MB) || fileIsolation.memoryMb || 256
+    };
+}
+
+function loadSettings(env = process.env) {
+    const settingsPath = path.resolve(env.OMG_CONFIG || DEFAULT_SETTINGS_FILE);
+    const settingsDir = path.dirname(settingsPath);
+    const fileSettings = readSettingsFile(settingsPath);
+
+    // Relative plugin directories in the file are resolved against the file itself
+    const fileDirs = (fileSettings.pluginDirs || []).map(dir => path.resolve(settingsDir, dir));
+    const envDirs = splitList(env.OMG_PLUGIN_DIRS, path.delimiter).map(dir => path.resolve(dir));
+
+    return {
+        ...fileSettings,
+        settingsPath,
+        pluginDirs: [...fileDirs, ...envDirs],
+        pluginPackages: [
+            ...(fileSettings.pluginPackages || []),
+            ...splitList(env.OMG_PLUGIN_PACKAGES, ',')
+        ],
+        discoverPackages: env.OMG_DISCOVER_PACKAGES !== undefined ?
+            env.OMG_DISCOVER_PACKAGES !== 'false' :
+            fileSettings.discoverPackages !== false,
+        watchPlugins: env.OMG_PLUGIN_WATCH !== undefined ?
+            env.OMG_PLUGIN_WATCH === 'true' :
+            fileSettings.watchPlugins === true || env.NODE_ENV === 'development',
+        adminToken: env.OMG_ADMIN_TOKEN || fileSettings.adminToken || null,
+        isolation: loadIsolation(fileSettings.isolation, env)
+    };
+}
+
+module.exports = { loadSettings, DEFAULT_SETTINGS_FILE, ISOLATION_MODES };
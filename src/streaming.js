@@ -355,19 +355,48 @@ class StreamingService {
     }
 
     async getVideoInfo(videoUrl) {
+        return this.runYtDlpJson([
+            '--dump-json',
+            '--no-playlist',
+            '--no-cache-dir',
+            '--socket-timeout', '30',
+            '--quiet',
+            videoUrl
+        ], 'Timeout getting video info');
+    }
+
+    /**
+     * Elenca i contenuti di un canale o playlist senza estrarre i singoli video
+     * @param {string} url - URL di canale, playlist o video (qualsiasi sito supportato da yt-dlp)
+     * @param {number} start - Primo elemento (da 1)
+     * @param {number} end - Ultimo elemento
+     * @returns {Promise<Object>} JSON di yt-dlp, con entries per le playlist
+     */
+    async getPlaylistInfo(url, start = 1, end = 25) {
+        return this.runYtDlpJson([
+            '--dump-single-json',
+            '--flat-playlist',
+            '--playlist-start', String(start),
+            '--playlist-end', String(end),
+            '--no-cache-dir',
+            '--socket-timeout', '30',
+            '--quiet',
+            url
+        ], 'Timeout getting playlist info', 60000);
+    }
+
+    async runYtDlpJson(args, timeoutMessage, timeoutMs = 30000) {
         return new Promise((resolve, reject) => {
-            const ytDlp = spawn('yt-dlp', [
-                '--dump-json',
-                '--no-playlist',
-                '--no-cache-dir',
-                '--socket-timeout', '30',
-                '--quiet',
-                videoUrl
-            ]);
+            const ytDlp = spawn('yt-dlp', args);
 
             let stdout = '';
             let stderr = '';
 
+            const timer = setTimeout(() => {
+                ytDlp.kill();
+                reject(new Error(timeoutMessage));
+            }, timeoutMs);
+
             ytDlp.stdout.on('data', (data) => {
                 stdout += data.toString();
             });
@@ -377,6 +406,7 @@ class StreamingService {
             });
 
             ytDlp.on('close', (code) => {
+                clearTimeout(timer);
                 if (code === 0) {
                     try {
                         const info = JSON.parse(stdout);
@@ -390,13 +420,9 @@ class StreamingService {
             });
 
             ytDlp.on('error', (error) => {
+                clearTimeout(timer);
                 reject(new Error(`yt-dlp execution error: ${error.message}`));
             });
-
-            setTimeout(() => {
-                ytDlp.kill();
-                reject(new Error('Timeout getting video info'));
-            }, 30000);
         });
     }
 
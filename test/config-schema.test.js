@@ -0,0 +1,109 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PluginManager = require('../src/plugin-manager');
+const configSchema = require('../src/config-schema');
+
+const SCHEMA = {
+    backend: { type: 'select', options: ['api', 'instance'], default: 'api', label: 'Backend' },
+    apiKey: { type: 'secret', required: true, label: 'API key', showIf: { backend: 'api' } },
+    instance: { type: 'url', required: true, label: 'Instance', showIf: { backend: 'instance' } },
+    limit: { type: 'number', min: 1, max: 50, default: 10, label: 'Limit' },
+    nsfw: { type: 'boolean', label: 'NSFW' },
+    channels: { type: 'array', items: 'url', label: 'Channels' },
+    advanced: {
+        type: 'object',
+        label: 'Advanced',
+        properties: {
+            depth: { type: 'number', min: 0, label: 'Depth' },
+            sort: { type: 'select', options: [{ value: 'new', label: 'New' }, { value: 'top', label: 'Top' }], label: 'Sort' }
+        }
+    }
+};
+
+// [config, valid]
+const CASES = [
+    [{}, false],
+    [{ apiKey: 'k' }, true],
+    [{ apiKey: '' }, false],
+    [{ apiKey: 42 }, false],
+    [{ backend: 'instance' }, false],
+    [{ backend: 'instance', instance: 'https://videos.example.org' }, true],
+    [{ backend: 'instance', instance: 'not a url' }, false],
+    [{ backend: 'other', apiKey: 'k' }, false],
+    // Hidden fields are not validated
+    [{ apiKey: 'k', instance: 'not a url' }, true],
+    [{ backend: 'instance', instance: 'https://videos.example.org', apiKey: 42 }, true],
+    [{ apiKey: 'k', limit: 0 }, false],
+    [{ apiKey: 'k', limit: 50 }, true],
+    [{ apiKey: 'k', limit: '5' }, false],
+    [{ apiKey: 'k', nsfw: 'yes' }, false],
+    [{ apiKey: 'k', nsfw: true }, true],
+    [{ apiKey: 'k', channels: ['https://a.example.org/c/1'] }, true],
+    [{ apiKey: 'k', channels: ['nope'] }, false],
+    [{ apiKey: 'k', channels: 'https://a.example.org' }, false],
+    [{ apiKey: 'k', advanced: { depth: 2, sort: 'top' } }, true],
+    [{ apiKey: 'k', advanced: { depth: -1 } }, false],
+    [{ apiKey: 'k', advanced: { sort: 'old' } }, false]
+];
+
+let root;
+let manager;
+
+before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-schema-'));
+    const pluginBase = path.join(__dirname, '..', 'src', 'plugins', 'plugin-base');
+    fs.writeFileSync(path.join(root, 'schematest.js'), `
+const PluginBase = require(${JSON.stringify(pluginBase)});
+class SchemaTestPlugin extends PluginBase {
+    getName() { return 'schematest'; }
+    getDisplayName() { return 'Schema test'; }
+    getConfigSchema() { return ${JSON.stringify(SCHEMA)}; }
+}
+module.exports = SchemaTestPlugin;
+`);
+    manager = new PluginManager({
+        pluginDirs: [root],
+        pluginPackages: [],
+        discoverPackages: false,
+        isolation: { mode: 'none' }
+    });
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('validateConfig and the JSON Schema validator agree', () => {
+    CASES.forEach(([config, valid]) => {
+        const label = JSON.stringify(config);
+        assert.strictEqual(configSchema.validateConfig(SCHEMA, config).length === 0, valid, `validateConfig ${label}`);
+        assert.strictEqual(manager.validatePluginConfig('schematest', config).length === 0, valid, `JSON Schema ${label}`);
+    });
+});
+
+test('bundled plugin schemas validate the same way in both validators', () => {
+    const configs = [{}, { nsfw: 'yes' }, { instance: 'not a url', server: 'not a url' }];
+    manager.getAllPlugins().forEach(plugin => {
+        configs.forEach(config => {
+            assert.strictEqual(
+                manager.validatePluginConfig(plugin.getName(), config).length === 0,
+                configSchema.validateConfig(plugin.getConfigSchema(), config).length === 0,
+                `${plugin.getName()} ${JSON.stringify(config)}`
+            );
+        });
+    });
+});
+
+test('JSON Schema export keeps hidden fields documented but unconstrained', () => {
+    const jsonSchema = configSchema.toJsonSchema(SCHEMA, { title: 'Schema test' });
+
+    assert.strictEqual(jsonSchema.title, 'Schema test');
+    assert.strictEqual(jsonSchema.properties.instance.title, 'Instance');
+    assert.strictEqual(jsonSchema.properties.instance.format, undefined);
+    assert.deepStrictEqual(jsonSchema.properties.limit, {
+        type: 'number', title: 'Limit', default: 10, minimum: 1, maximum: 50
+    });
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { runConformance } = require('../src/conformance');
+const { redactSecrets, fixtureKey } = require('../src/conformance/fixtures');
+
+const PLUGINS_DIR = path.join(__dirname, '..', 'src', 'plugins');
+const FIXTURES_DIR = path.join(__dirname, 'conformance');
+
+function readJson(filePath) {
+    return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+}
+
+function assertPassed(report) {
+    const failures = report.results
+        .filter(result => result.status === 'fail')
+        .map(result => `${result.name}: ${result.error}`);
+    assert.deepStrictEqual(failures, []);
+    assert.ok(report.results.some(result => result.name === 'search' || result.name === 'getChannels'));
+}
+
+// test/conformance/<plugin>/ holds the config, settings and recorded HTTP
+// fixtures of a bundled plugin, replayed without network access
+fs.readdirSync(FIXTURES_DIR).forEach(name => {
+    const dir = path.join(FIXTURES_DIR, name);
+    test(`${name} plugin passes the conformance kit`, async () => {
+        const report = await runConformance(path.join(PLUGINS_DIR, `${name}.js`), {
+            config: readJson(path.join(dir, 'config.json')),
+            settings: readJson(path.join(dir, 'settings.json')),
+            fixtures: path.join(dir, 'fixtures.json')
+        });
+        assertPassed(report);
+    });
+});
+
+test('local plugin passes the conformance kit', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-local-'));
+    const media = path.join(root, 'media');
+    fs.mkdirSync(path.join(media, 'Show'), { recursive: true });
+    fs.writeFileSync(path.join(media, 'movie.mp4'), '');
+    fs.writeFileSync(path.join(media, 'Show', 'S01E01.mkv'), '');
+
+    try {
+        const report = await runConformance(path.join(PLUGINS_DIR, 'local.js'), {
+            settings: { directories: [media], thumbnailDir: path.join(root, 'thumbnails') },
+            query: 'movie'
+        });
+        assertPassed(report);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('m3u plugin passes the conformance kit', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-m3u-'));
+    const playlist = path.join(root, 'list.m3u');
+    fs.writeFileSync(playlist, [
+        '#EXTM3U',
+        '#EXTINF:-1 group-title="News",No Logo',
+        'http://example.com/a.m3u8',
+        '#EXTINF:-1 tvg-logo="http://example.com/l.png" group-title="News",Logo',
+        'http://example.com/b.m3u8',
+        ''
+    ].join('\n'));
+
+    try {
+        const report = await runConformance(path.join(PLUGINS_DIR, 'm3u.js'), {
+            settings: { playlists: [playlist] }
+        });
+        assertPassed(report);
+    } finally {
+        fs.rmSync(root, { recursive: true, force: true });
+    }
+});
+
+test('conformance kit reports a broken plugin', async () => {
+    const PluginBase = require('../src/plugins/plugin-base');
+    class BrokenPlugin extends PluginBase {
+        getName() { return 'broken'; }
+        getDisplayName() { return 'Broken'; }
+        async search() { return [{ id: 'no-prefix', title: 42 }]; }
+    }
+
+    const report = await runConformance(BrokenPlugin);
+    assert.strictEqual(report.passed, false);
+    assert.strictEqual(report.results.find(result => result.name === 'search').status, 'fail');
+});
+
+test('recorded fixtures drop secret params from keys and redact them in data', () => {
+    assert.strictEqual(
+        fixtureKey({ method: 'get', url: 'https://api.example.org/v1', params: { q: 'x', api_key: 'abc' } }),
+        fixtureKey({ method: 'get', url: 'https://api.example.org/v1', params: { q: 'x', api_key: 'other' } })
+    );
+
+    const redacted = redactSecrets({
+        access_token: 'abc',
+        nested: [{ Token: 'def', name: 'kept' }],
+        next: 'https://api.example.org/v1?page=2&key=ghi&q=x'
+    });
+    assert.deepStrictEqual(redacted, {
+        access_token: '***',
+        nested: [{ Token: '***', name: 'kept' }],
+        next: 'https://api.example.org/v1?page=2&key=***&q=x'
+    });
+});
@@ -0,0 +1,141 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const { HttpClient, redactUrl, getCacheTtl } = require('../src/http-client');
+
+// Answers are queued per test; every request is recorded
+let answers = [];
+let requests = [];
+let previousAdapter;
+
+beforeEach(() => {
+    answers = [];
+    requests = [];
+    previousAdapter = axios.defaults.adapter;
+    axios.defaults.adapter = async requestConfig => {
+        requests.push(requestConfig);
+        const answer = answers.shift() || { status: 200, data: null };
+        const response = {
+            status: answer.status,
+            statusText: String(answer.status),
+            headers: answer.headers || {},
+            data: answer.data,
+            config: requestConfig,
+            request: {}
+        };
+        if (!requestConfig.validateStatus(response.status)) {
+            throw new axios.AxiosError(`Request failed with status code ${response.status}`,
+                'ERR_BAD_RESPONSE', requestConfig, response.request, response);
+        }
+        return response;
+    };
+});
+
+afterEach(() => {
+    axios.defaults.adapter = previousAdapter;
+});
+
+function createClient(options = {}) {
+    return new HttpClient('test', { rateLimit: null, retryDelayMs: 1, ...options });
+}
+
+const CACHEABLE = { 'cache-control': 'max-age=60' };
+
+test('cached responses are reused for the same URL and headers', async () => {
+    const http = createClient();
+    answers.push({ status: 200, headers: CACHEABLE, data: 'first' });
+
+    const first = await http.get('https://api.example.org/items', { params: { page: 1 } });
+    const second = await http.get('https://api.example.org/items', { params: { page: 1 } });
+
+    assert.strictEqual(first.data, 'first');
+    assert.strictEqual(second.data, 'first');
+    assert.strictEqual(requests.length, 1);
+});
+
+test('cached responses are not shared across credentials', async () => {
+    const http = createClient();
+    answers.push(
+        { status: 200, headers: CACHEABLE, data: 'alice' },
+        { status: 200, headers: CACHEABLE, data: 'bob' },
+        { status: 200, headers: CACHEABLE, data: 'anonymous' }
+    );
+
+    const alice = await http.get('https://api.example.org/me', { headers: { Authorization: 'Bearer alice' } });
+    const bob = await http.get('https://api.example.org/me', { headers: { Authorization: 'Bearer bob' } });
+    const anonymous = await http.get('https://api.example.org/me');
+    // Header names are case-insensitive
+    const aliceAgain = await http.get('https://api.example.org/me', { headers: { authorization: 'Bearer alice' } });
+
+    assert.deepStrictEqual([alice.data, bob.data, anonymous.data, aliceAgain.data], ['alice', 'bob', 'anonymous', 'alice']);
+    assert.strictEqual(requests.length, 3);
+});
+
+test('responses without cache headers and cache: false requests are not cached', async () => {
+    const http = createClient();
+    answers.push(
+        { status: 200, data: 'one' },
+        { status: 200, headers: CACHEABLE, data: 'two' },
+        { status: 200, headers: CACHEABLE, data: 'three' }
+    );
+
+    await http.get('https://api.example.org/a');
+    await http.get('https://api.example.org/a');
+    const uncached = await http.get('https://api.example.org/a', { cache: false });
+
+    assert.strictEqual(uncached.data, 'three');
+    assert.strictEqual(requests.length, 3);
+});
+
+test('retryable statuses are retried, honouring Retry-After', async () => {
+    const http = createClient({ retries: 2 });
+    answers.push(
+        { status: 503, headers: { 'retry-after': '0' } },
+        { status: 429 },
+        { status: 200, data: 'ok' }
+    );
+
+    const response = await http.get('https://api.example.org/flaky');
+
+    assert.strictEqual(response.data, 'ok');
+    assert.strictEqual(requests.length, 3);
+    assert.strictEqual(http.getRetryDelay({ headers: { 'retry-after': '3' } }, 0), 3000);
+    assert.strictEqual(http.getRetryDelay({ headers: { 'retry-after': '3600' } }, 0), 30000);
+});
+
+test('retries stop after the configured attempts', async () => {
+    const http = createClient({ retries: 1 });
+    answers.push({ status: 502 }, { status: 502 }, { status: 200 });
+
+    await assert.rejects(http.get('https://api.example.org/down'), error => error.response.status === 502);
+    assert.strictEqual(requests.length, 2);
+});
+
+test('client errors and non-idempotent requests are not retried', async () => {
+    const http = createClient({ retries: 2 });
+    answers.push({ status: 404 }, { status: 503 });
+
+    await assert.rejects(http.get('https://api.example.org/missing'));
+    await assert.rejects(http.post('https://api.example.org/items', { name: 'x' }));
+    assert.strictEqual(requests.length, 2);
+});
+
+test('redactUrl hides secret query parameters', () => {
+    assert.strictEqual(
+        redactUrl('https://api.example.org/v1?q=cats&api_key=abc&access_token=def'),
+        'https://api.example.org/v1?q=cats&api_key=***&access_token=***'
+    );
+    assert.strictEqual(redactUrl('https://api.example.org/v1?q=cats'), 'https://api.example.org/v1?q=cats');
+    assert.strictEqual(redactUrl('not a url'), 'not a url');
+});
+
+test('getCacheTtl reads Cache-Control and Expires', () => {
+    assert.strictEqual(getCacheTtl({ 'cache-control': 'public, max-age=120' }), 120000);
+    assert.strictEqual(getCacheTtl({ 'cache-control': 'max-age=10, s-maxage=30' }), 10000);
+    assert.strictEqual(getCacheTtl({ 'cache-control': 'no-store, max-age=120' }), 0);
+    assert.strictEqual(getCacheTtl({ expires: 'not a date' }), 0);
+    assert.strictEqual(getCacheTtl({}), 0);
+
+    const ttl = getCacheTtl({ expires: new Date(Date.now() + 60000).toUTCString() });
+    assert.ok(ttl > 55000 && ttl <= 60000);
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PluginBase = require('../src/plugins/plugin-base');
+const { PLUGIN_API_VERSION, checkCompatibility, adaptPlugin } = require('../src/plugin-api');
+
+function createPlugin(apiVersion, methods = {}) {
+    class TestPlugin extends PluginBase {
+        getName() { return 'apitest'; }
+        getDisplayName() { return 'API test'; }
+        getApiVersion() { return apiVersion; }
+    }
+    Object.assign(TestPlugin.prototype, methods);
+    return new TestPlugin();
+}
+
+test('checkCompatibility accepts older minors and shims older majors', () => {
+    assert.deepStrictEqual(checkCompatibility(PLUGIN_API_VERSION), { compatible: true, shimmed: false, reason: null });
+    assert.deepStrictEqual(checkCompatibility('2.0'), { compatible: true, shimmed: false, reason: null });
+    assert.deepStrictEqual(checkCompatibility('1.4.2'), { compatible: true, shimmed: true, reason: null });
+});
+
+test('checkCompatibility refuses newer, unsupported and malformed versions', () => {
+    assert.strictEqual(checkCompatibility('2.9').compatible, false);
+    assert.strictEqual(checkCompatibility('3.0').compatible, false);
+    assert.strictEqual(checkCompatibility('0.9').compatible, false);
+    assert.match(checkCompatibility('two').reason, /Invalid plugin API version/);
+});
+
+test('adaptPlugin throws for incompatible plugins', () => {
+    assert.throws(() => adaptPlugin(createPlugin('3.0')), /gateway provides/);
+});
+
+test('1.x plugins receive the Stremio extra as a string filter', async () => {
+    const received = [];
+    const plugin = createPlugin('1.0', {
+        async getChannels(config, filter) {
+            received.push(filter);
+            return [];
+        }
+    });
+
+    const report = adaptPlugin(plugin);
+    await plugin.getChannels({}, { catalogId: 'channels', genre: 'News', skip: '25' });
+    await plugin.getChannels({}, { catalogId: 'channels' });
+    await plugin.getChannels({}, null);
+
+    assert.strictEqual(report.status, 'shimmed');
+    assert.deepStrictEqual(received, ['genre=News&skip=25', null, null]);
+});
+
+test('current plugins receive the filter object untouched', async () => {
+    let received;
+    const plugin = createPlugin(PLUGIN_API_VERSION, {
+        async getChannels(config, filter) {
+            received = filter;
+            return [];
+        }
+    });
+
+    const report = adaptPlugin(plugin);
+    await plugin.getChannels({}, { catalogId: 'channels', skip: 25 });
+
+    assert.strictEqual(report.status, 'compatible');
+    assert.deepStrictEqual(received, { catalogId: 'channels', skip: 25 });
+});
+
+test('deprecated methods are reported', () => {
+    const plugin = createPlugin(PLUGIN_API_VERSION, { validateConfig() { return true; } });
+
+    const report = adaptPlugin(plugin);
+
+    assert.strictEqual(report.warnings.length, 1);
+    assert.match(report.warnings[0], /^validateConfig\(\) is deprecated/);
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PluginManager = require('../src/plugin-manager');
+
+const PLUGIN_BASE = path.join(__dirname, '..', 'src', 'plugins', 'plugin-base');
+
+let root;
+let manager;
+
+function writePlugin(name, body) {
+    fs.writeFileSync(path.join(root, `${name}.js`), `
+const PluginBase = require(${JSON.stringify(PLUGIN_BASE)});
+module.exports = class extends PluginBase {
+    getName() { return '${name}'; }
+    getDisplayName() { return '${name}'; }
+    ${body}
+};
+`);
+}
+
+before(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-instances-'));
+    writePlugin('keytest', `
+    getConfigSchema() {
+        return {
+            server: { type: 'url', required: true, label: 'Server' },
+            limit: { type: 'number', default: 10, label: 'Limit' }
+        };
+    }`);
+    writePlugin('failing', `
+    async init() { throw new Error('no backend'); }`);
+
+    manager = new PluginManager({
+        pluginDirs: [root],
+        pluginPackages: [],
+        discoverPackages: false,
+        isolation: { mode: 'none' }
+    });
+    await manager.initPlugin(manager.getPlugin('failing'));
+});
+
+after(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+test('parseInstanceKey splits plugin and instance names', () => {
+    assert.deepStrictEqual(manager.parseInstanceKey('keytest'), { pluginName: 'keytest', instance: null });
+    assert.deepStrictEqual(manager.parseInstanceKey('keytest.work'), { pluginName: 'keytest', instance: 'work' });
+    ['KeyTest', 'keytest.', 'keytest.a.b', 'key-test', 'keytest_work', ''].forEach(key => {
+        assert.strictEqual(manager.parseInstanceKey(key), null, key);
+    });
+});
+
+test('configured instances skip unknown, unavailable, empty and malformed keys', () => {
+    const config = {
+        keytest: { server: 'https://a.example.org' },
+        'keytest.work': { server: 'https://b.example.org' },
+        'keytest.off': null,
+        'unknown.x': {},
+        failing: {},
+        'Bad.Key': {}
+    };
+
+    const instances = manager.getConfiguredInstances(config)
+        .map(({ key, plugin, instance }) => [key, plugin.getName(), instance]);
+
+    assert.deepStrictEqual(instances, [
+        ['keytest', 'keytest', null],
+        ['keytest.work', 'keytest', 'work']
+    ]);
+});
+
+test('active and invalid instances are split by their own config', () => {
+    const config = {
+        'keytest.good': { server: 'https://a.example.org' },
+        'keytest.bad': { server: 'not a url' },
+        'keytest.empty': {}
+    };
+
+    assert.deepStrictEqual(manager.getActiveInstances(config).map(({ key }) => key), ['keytest.good']);
+    assert.deepStrictEqual(
+        manager.getInvalidInstances(config).map(({ key, errors }) => [key, errors.length > 0]),
+        [['keytest.bad', true], ['keytest.empty', true]]
+    );
+    assert.deepStrictEqual(manager.getActivePlugins(config).map(plugin => plugin.getName()), ['keytest']);
+});
+
+test('each instance gets its own config with defaults', () => {
+    const plugin = manager.getPlugin('keytest');
+    const config = {
+        keytest: { server: 'https://a.example.org' },
+        'keytest.work': { server: 'https://b.example.org', limit: 5 }
+    };
+
+    assert.deepStrictEqual(manager.getPluginConfig(plugin, config), { server: 'https://a.example.org', limit: 10 });
+    assert.deepStrictEqual(manager.getPluginConfig(plugin, config, 'keytest.work'), { server: 'https://b.example.org', limit: 5 });
+});
@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSettings } = require('../src/settings');
+
+// No settings file unless a test writes one
+const MISSING_FILE = path.join(os.tmpdir(), 'omg-rome-missing.config.json');
+
+test('isolation defaults to none', () => {
+    assert.deepStrictEqual(loadSettings({ OMG_CONFIG: MISSING_FILE }).isolation, {
+        mode: 'none',
+        timeoutMs: 30000,
+        memoryMb: 256
+    });
+});
+
+test('isolation mode comes from the environment before the settings file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'omg-settings-'));
+    const file = path.join(dir, 'omg-rome.config.json');
+    fs.writeFileSync(file, JSON.stringify({ isolation: { mode: 'worker', timeoutMs: 5000 } }));
+
+    try {
+        assert.deepStrictEqual(loadSettings({ OMG_CONFIG: file }).isolation, { mode: 'worker', timeoutMs: 5000, memoryMb: 256 });
+        assert.strictEqual(loadSettings({ OMG_CONFIG: file, OMG_PLUGIN_ISOLATION: 'none' }).isolation.mode, 'none');
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('unknown isolation modes are rejected', () => {
+    assert.throws(
+        () => loadSettings({ OMG_CONFIG: MISSING_FILE, OMG_PLUGIN_ISOLATION: 'workers' }),
+        /Invalid plugin isolation mode "workers"/
+    );
+});